@@ -26,6 +26,47 @@ function getLastNonEmptyRow(sheet) {
   return 1;
 }
 
+/**
+ * Reads the header row of a sheet.
+ *
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet
+ * @param {number} [headerRowIndex=1] - The row (1-based) that holds the headers.
+ * @return {Array} The header values, from column A to the last column with content.
+ */
+function getHeaderRow(sheet, headerRowIndex = 1) {
+  const lastColumn = sheet.getLastColumn();
+  if (lastColumn === 0) return [];
+  return sheet.getRange(headerRowIndex, 1, 1, lastColumn).getValues()[0];
+}
+
+/**
+ * Checks the header row and data start row used by the write functions.
+ * Rows between the two (e.g. a description row under the headers) are never read or written.
+ *
+ * @param {number} headerRowIndex - The row (1-based) that holds the headers.
+ * @param {number} startRowIndex - The first row (1-based) that holds data.
+ */
+function validateSheetLayout(headerRowIndex, startRowIndex) {
+  if (!Number.isInteger(headerRowIndex) || headerRowIndex < 1) {
+    throw new Error("Invalid headerRowIndex '" + headerRowIndex + "'. Use a row number from 1.");
+  }
+  if (!Number.isInteger(startRowIndex) || startRowIndex <= headerRowIndex) {
+    throw new Error("Invalid startRowIndex '" + startRowIndex + "'. Data must start below the header row.");
+  }
+}
+
+/**
+ * Returns the row where new rows should be appended: after the last non-empty row,
+ * but never above the data start row.
+ *
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet
+ * @param {number} startRowIndex - The first row (1-based) that holds data.
+ * @return {number} The row index (1-based) to append at.
+ */
+function getAppendRow(sheet, startRowIndex) {
+  return Math.max(getLastNonEmptyRow(sheet) + 1, startRowIndex);
+}
+
 
 
 /** Before adding the mute param */
@@ -82,48 +123,202 @@ function getLastNonEmptyRow(sheet) {
 
 
 
-/** Move a particular row based on a match **/
-function moveRowToAnotherSheet(sourceSheet, targetSheet, headerToMatch, valueToMatch) {
-  // Read the first row (headers) to find column indices in the source sheet
-  var headers = sourceSheet.getRange(1, 1, 1, sourceSheet.getLastColumn()).getValues()[0];
-  var columnIndex = headers.indexOf(headerToMatch) + 1;
-  
-  if (columnIndex === 0) {
+/**
+ * Move rows from one sheet to another based on a match.
+ * Both sheets use the same layout: headers in headerRowIndex and data from startRowIndex.
+ *
+ * valueToMatch decides which rows are moved:
+ *  - a single value: the first row whose headerToMatch cell equals it (loose equality),
+ *  - an array or Set of values: every row whose headerToMatch cell equals one of them,
+ *  - a function: every row for which predicate(value, rowObject, rowNumber) returns true, where value is
+ *    the headerToMatch cell. headerToMatch may be null when the predicate only uses the row object.
+ *
+ * Values are copied into the target by header name, so both sheets can have different column orders.
+ * Target columns with no matching source header are left untouched, which preserves any formulas in them,
+ * and the rows are appended below the last row with content in the copied columns.
+ * Moved rows are deleted from the source in batches of consecutive rows, from the bottom up.
+ * Use copyRowToAnotherSheet to copy rows without deleting them.
+ *
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sourceSheet - The sheet to move the rows from.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} targetSheet - The sheet to move the rows to.
+ * @param {string|null} headerToMatch - The header of the column to match on.
+ * @param {*|Array|Set|Function} valueToMatch - The value, values or predicate to look for.
+ * @param {number} [headerRowIndex=1] - The row (1-based) that holds the headers.
+ * @param {number} [startRowIndex=headerRowIndex + 1] - The first row (1-based) that holds data.
+ * @param {Object} [options] - Optional settings.
+ * @param {Object} [options.extraFields] - Extra values to write to the target, by header name, e.g.
+ *                                        { MovedAt: () => new Date(), MovedBy: Session.getActiveUser().getEmail() }.
+ *                                        A function is called with each row object. The headers must exist in the target.
+ * @param {string[]|boolean} [options.requiredHeaders] - Headers that must exist in the target sheet, or true to
+ *                                                       require every source header. Missing headers throw an error,
+ *                                                       even when no row matches.
+ * @param {boolean} [options.dryRun=false] - If true, nothing is written. Returns { dryRun, changes, deletedRows, rows }
+ *                                          with the target cells that would change and the source rows that would be deleted.
+ * @return {Object[]} - The moved rows as objects keyed by source header, plus any extra fields (empty if no row matched).
+ */
+function moveRowToAnotherSheet(sourceSheet, targetSheet, headerToMatch, valueToMatch, headerRowIndex = 1, startRowIndex = headerRowIndex + 1, options = {}) {
+  return transferRows(sourceSheet, targetSheet, headerToMatch, valueToMatch, headerRowIndex, startRowIndex, options, true);
+}
+
+/**
+ * Copy rows from one sheet to another based on a match, leaving the source rows in place.
+ *
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sourceSheet - The sheet to copy the rows from.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} targetSheet - The sheet to copy the rows to.
+ * @param {string|null} headerToMatch - The header of the column to match on.
+ * @param {*|Array|Set|Function} valueToMatch - The value, values or predicate to look for.
+ * @param {number} [headerRowIndex=1] - The row (1-based) that holds the headers.
+ * @param {number} [startRowIndex=headerRowIndex + 1] - The first row (1-based) that holds data.
+ * @param {Object} [options] - Optional settings, see moveRowToAnotherSheet.
+ * @return {Object[]} - The copied rows as objects keyed by source header, plus any extra fields (empty if no row matched).
+ */
+function copyRowToAnotherSheet(sourceSheet, targetSheet, headerToMatch, valueToMatch, headerRowIndex = 1, startRowIndex = headerRowIndex + 1, options = {}) {
+  return transferRows(sourceSheet, targetSheet, headerToMatch, valueToMatch, headerRowIndex, startRowIndex, options, false);
+}
+
+/** Shared implementation of moveRowToAnotherSheet and copyRowToAnotherSheet **/
+function transferRows(sourceSheet, targetSheet, headerToMatch, valueToMatch, headerRowIndex, startRowIndex, options, deleteSource) {
+  const { extraFields = {}, requiredHeaders = [], dryRun = false } = options;
+  validateSheetLayout(headerRowIndex, startRowIndex);
+
+  // Dry run: transfer the rows between in-memory copies of the sheets and report what would change
+  if (dryRun) {
+    const sourcePreview = createPreviewSheet(sourceSheet, { headerRow: headerRowIndex });
+    const targetPreview = createPreviewSheet(targetSheet, { headerRow: headerRowIndex });
+    const rows = transferRows(sourcePreview, targetPreview, headerToMatch, valueToMatch, headerRowIndex, startRowIndex, { ...options, dryRun: false }, deleteSource);
+    return {
+      dryRun: true,
+      changes: sourcePreview.getChanges().concat(targetPreview.getChanges()),
+      deletedRows: sourcePreview.getDeletedRows().map(row => ({ sheet: sourceSheet.getName(), row })),
+      rows
+    };
+  }
+
+  // Read the header row to find column indices in the source sheet
+  const headers = getHeaderRow(sourceSheet, headerRowIndex);
+  const columnIndex = headerToMatch === null || headerToMatch === undefined ? -1 : headers.indexOf(headerToMatch);
+
+  if (columnIndex === -1 && (typeof valueToMatch !== 'function' || (headerToMatch !== null && headerToMatch !== undefined))) {
     throw new Error('Header not found');
   }
 
-  // Find the row to move
-  var dataRange = sourceSheet.getRange(2, columnIndex, sourceSheet.getLastRow() - 1, 1);
-  var values = dataRange.getValues();
-  var rowToMoveIndex = -1;
-  
-  for (var i = 0; i < values.length; i++) {
-    if (values[i][0] == valueToMatch) {
-      rowToMoveIndex = i + 2; // Adjust for header row and zero-based index
-      break;
+  // Check the target headers up front, so a bad target fails the same way whether or not rows match
+  const targetHeaders = getHeaderRow(targetSheet, headerRowIndex);
+  if (targetHeaders.every(header => header === '')) {
+    throw new Error("Target sheet '" + targetSheet.getName() + "' has no headers in row " + headerRowIndex + ".");
+  }
+
+  // Fail if headers we need are missing from the target
+  const neededHeaders = (requiredHeaders === true ? headers.filter(header => header !== '') : requiredHeaders)
+    .concat(Object.keys(extraFields));
+  const missingHeaders = neededHeaders.filter(header => targetHeaders.indexOf(header) === -1);
+  if (missingHeaders.length > 0) {
+    throw new Error("Headers missing from target sheet '" + targetSheet.getName() + "': " + missingHeaders.join(", "));
+  }
+
+  // Build the matcher: a single value only moves the first match, a set of values or a predicate moves all matches
+  let matches;
+  let firstOnly = false;
+  if (typeof valueToMatch === 'function') {
+    matches = valueToMatch;
+  } else if (Array.isArray(valueToMatch) || valueToMatch instanceof Set) {
+    const wanted = new Set(Array.from(valueToMatch).map(String));
+    matches = value => value !== '' && wanted.has(String(value));
+  } else {
+    matches = value => value == valueToMatch;
+    firstOnly = true;
+  }
+
+  // Find the rows to move
+  const numRows = sourceSheet.getLastRow() - startRowIndex + 1;
+  const sourceData = numRows > 0 && headers.length > 0 ? sourceSheet.getRange(startRowIndex, 1, numRows, headers.length).getValues() : [];
+  const rowIndices = []; // 0-based indices into sourceData
+  const movedRows = [];
+
+  for (let i = 0; i < sourceData.length; i++) {
+    const rowObject = {};
+    headers.forEach((header, index) => {
+      if (header !== '') rowObject[header] = sourceData[i][index];
+    });
+    const value = columnIndex === -1 ? undefined : sourceData[i][columnIndex];
+
+    if (matches(value, rowObject, startRowIndex + i)) {
+      rowIndices.push(i);
+      movedRows.push(rowObject);
+      if (firstOnly) break;
     }
   }
-  
-  if (rowToMoveIndex === -1) {
+
+  if (rowIndices.length === 0) {
     Logger.log("No matching row found");
-    return; // Exit if no matching row is found
+    return movedRows; // Exit if no matching row is found
+  }
+
+  // Add the extra fields to each row object; they take precedence over source columns with the same header
+  movedRows.forEach(rowObject => {
+    Object.keys(extraFields).forEach(header => {
+      const extra = extraFields[header];
+      rowObject[header] = typeof extra === 'function' ? extra(rowObject) : extra;
+    });
+  });
+
+  const sourceColumnFor = targetHeaders.map(header => header === '' || extraFields.hasOwnProperty(header) ? -1 : headers.indexOf(header));
+  const droppedHeaders = headers.filter(header => header !== '' && targetHeaders.indexOf(header) === -1);
+  if (droppedHeaders.length > 0) {
+    Logger.log("Warning: Columns not found in the target sheet were not copied: " + droppedHeaders.join(", "));
+  }
+
+  // Append below the last row with content in the copied columns, so rows pre-filled with formulas are reused
+  const writtenColumn = targetHeaders.map((header, j) => sourceColumnFor[j] !== -1 || extraFields.hasOwnProperty(header));
+  const targetLastRow = targetSheet.getLastRow();
+  let targetRow = startRowIndex;
+  if (targetLastRow >= startRowIndex) {
+    const targetData = targetSheet.getRange(startRowIndex, 1, targetLastRow - startRowIndex + 1, targetHeaders.length).getValues();
+    for (let i = targetData.length - 1; i >= 0; i--) {
+      if (writtenColumn.some((written, j) => written && targetData[i][j] !== '')) {
+        targetRow = startRowIndex + i + 1;
+        break;
+      }
+    }
   }
 
-  // Copy the row to the target sheet
-  var rowRange = sourceSheet.getRange(rowToMoveIndex, 1, 1, sourceSheet.getLastColumn());
-  var rowData = rowRange.getValues();
-  var lastRow = targetSheet.getLastRow();
-  targetSheet.getRange(lastRow + 1, 1, 1, rowData[0].length).setValues(rowData);
+  // Copy the rows to the target sheet, writing only the copied columns so formulas and other cells are left alone
+  const writtenColumns = new Set(writtenColumn.map((written, j) => written ? j : -1).filter(j => j !== -1));
+  const changedCells = new Map();
+  const block = rowIndices.map((rowIndex, i) => {
+    changedCells.set(i, writtenColumns);
+    return targetHeaders.map((header, j) => {
+      if (extraFields.hasOwnProperty(header)) return movedRows[i][header];
+      return sourceColumnFor[j] !== -1 ? sourceData[rowIndex][sourceColumnFor[j]] : '';
+    });
+  });
+  writeChangedRows(targetSheet, block, changedCells, targetRow);
 
-  // Delete the row from the source sheet
-  sourceSheet.deleteRow(rowToMoveIndex);
+  // Delete the rows from the source sheet, bottom-up so earlier row numbers stay valid
+  if (deleteSource) {
+    getContiguousRuns(rowIndices).reverse().forEach(({ start, end }) => {
+      sourceSheet.deleteRows(startRowIndex + start, end - start + 1);
+    });
+  }
   SpreadsheetApp.flush(); // Ensure changes are applied immediately
+
+  Logger.log((deleteSource ? "Moved " : "Copied ") + movedRows.length + " rows to '" + targetSheet.getName() + "'.");
+  return movedRows;
 }
 
-/** Add a row to a sheet **/
-function addRowToSheet(sheet, newRowData) {
-  // Read the first row (headers) to identify column indices
-  var headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+/**
+ * Add a row to a sheet.
+ *
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The sheet to add the row to.
+ * @param {Object} newRowData - Object whose keys are header names.
+ * @param {number} [headerRowIndex=1] - The row (1-based) that holds the headers.
+ * @param {number} [startRowIndex=headerRowIndex + 1] - The first row (1-based) that holds data.
+ */
+function addRowToSheet(sheet, newRowData, headerRowIndex = 1, startRowIndex = headerRowIndex + 1) {
+  validateSheetLayout(headerRowIndex, startRowIndex);
+
+  // Read the header row to identify column indices
+  var headers = getHeaderRow(sheet, headerRowIndex);
   var newRow = new Array(headers.length).fill(""); // Initialize an array filled with empty strings for the new row
   
   // Map newRowData keys to headers and populate newRow array
@@ -134,15 +329,39 @@ function addRowToSheet(sheet, newRowData) {
     }
   });
   
-  // Append the new row to the sheet
-  sheet.appendRow(newRow);
+  // Append the new row to the sheet, below any rows between the headers and the data
+  sheet.getRange(getAppendRow(sheet, startRowIndex), 1, 1, newRow.length).setValues([newRow]);
   SpreadsheetApp.flush(); // Ensure changes are applied immediately
 }
 
-/** Add single or multiple rows to a sheet. newRowsData can be an object or an array **/
-function addRowsToSheet(sheet, newRowsData) {
-  // Read the first row (headers) to identify column indices
-  var headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+/**
+ * Add single or multiple rows to a sheet. newRowsData can be an object or an array.
+ *
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The sheet to add the rows to.
+ * @param {Object|Object[]} newRowsData - Object, or array of objects, whose keys are header names.
+ * @param {number} [headerRowIndex=1] - The row (1-based) that holds the headers.
+ * @param {number} [startRowIndex=headerRowIndex + 1] - The first row (1-based) that holds data.
+ * @param {Object} [options] - Optional settings.
+ * @param {boolean} [options.addMissingHeaders=false] - If true, keys with no header get a new header column first.
+ * @param {("end"|number|{after: string})} [options.headerPosition="end"] - Where new headers go (see ensureHeaders).
+ * @param {("warn"|"error"|"ignore")} [options.onDroppedKeys="warn"] - How keys with no header are reported
+ *                                                                   when addMissingHeaders is off.
+ * @param {Object} [options.headerMap] - Match headers ignoring case and whitespace, with aliases and strict
+ *                                       checking (see headerMap.js).
+ * @param {Object} [options.stamps] - Write created/updated timestamps, the user and a content hash to the given
+ *                                    headers (see changeStamps.js).
+ * @return {{addedHeaders: string[], droppedKeys: string[]}} - The headers that were added and the keys that
+ *         were not written for lack of a header (see ensureHeaders).
+ */
+function addRowsToSheet(sheet, newRowsData, headerRowIndex = 1, startRowIndex = headerRowIndex + 1, options = {}) {
+  validateSheetLayout(headerRowIndex, startRowIndex);
+  if (options.headerMap) {
+    newRowsData = mapRecordsToHeaders(sheet, headerRowIndex, [].concat(newRowsData), [], options).records;
+  }
+  var headerChanges = ensureHeaders(sheet, withStampHeaders(Array.isArray(newRowsData) ? newRowsData : [newRowsData], options), headerRowIndex, options);
+
+  // Read the header row to identify column indices
+  var headers = getHeaderRow(sheet, headerRowIndex);
   
   // Initialize an empty array to hold all new rows
   var allNewRows = [];
@@ -165,15 +384,30 @@ function addRowsToSheet(sheet, newRowsData) {
     newRowsData.forEach(function(rowData) {
       allNewRows.push(createRowFromData(rowData));
     });
-    // Bulk add all new rows to the sheet in one API call
-    sheet.getRange(sheet.getLastRow() + 1, 1, allNewRows.length, headers.length).setValues(allNewRows);
   } else {
     // Handle a single row data object
-    var singleRow = createRowFromData(newRowsData);
-    sheet.appendRow(singleRow);
+    allNewRows.push(createRowFromData(newRowsData));
+  }
+
+  // Stamp each new row once its content is known
+  if (options.stamps) {
+    var stamper = createChangeStamper(options.stamps, headers, sheet.getName());
+    allNewRows.forEach(function(row) {
+      var stamps = stamper.stamp(row, null);
+      Object.keys(stamps).forEach(function(header) {
+        row[headers.indexOf(header)] = stamps[header];
+      });
+    });
+  }
+
+  // Bulk add all new rows to the sheet in one API call, below any rows between the headers and the data
+  if (allNewRows.length > 0) {
+    var appendRow = getAppendRow(sheet, startRowIndex);
+    sheet.getRange(appendRow, 1, allNewRows.length, headers.length).setValues(allNewRows);
   }
 
   SpreadsheetApp.flush(); // Ensure changes are applied immediately
+  return { addedHeaders: headerChanges.added, droppedKeys: headerChanges.dropped };
 }
 
 
@@ -187,6 +421,17 @@ function columnNameToIndex(columnName) {
   return column; // 1-based index
 }
 
+/** Turns a 1-based column index into its name like A, B, ..., AA **/
+function columnIndexToName(columnIndex) {
+  let name = '';
+  while (columnIndex > 0) {
+    const remainder = (columnIndex - 1) % 26;
+    name = String.fromCharCode(65 + remainder) + name; // ASCII value of 'A' is 65
+    columnIndex = Math.floor((columnIndex - 1) / 26);
+  }
+  return name;
+}
+
 /**
  * Sets the format of column B in the specified sheet to plain text.
  * @param {string} sheetName The name of the sheet where column B will be formatted.
@@ -29,9 +29,17 @@ function clearSheetContentFromRow(sheet, startRow = 3) {
  * @param {number} headerRowIndex - The index of the header row.
  * @param {number} startRowIndex - The row index to start processing and inserting data.
  * @param {string} mode - The mode of insertion: "overwrite" (default) or "append".
+ * @param {Object} [options] - Optional settings.
+ * @param {boolean} [options.addMissingHeaders=false] - If true, keys with no header get a new header column first.
+ * @param {("end"|number|{after: string})} [options.headerPosition="end"] - Where new headers go (see ensureHeaders).
+ * @param {("warn"|"error"|"ignore")} [options.onDroppedKeys="warn"] - How keys with no header are reported
+ *                                                                   when addMissingHeaders is off.
+ * @return {{addedHeaders: string[], droppedKeys: string[]}} - The headers that were added and the keys that
+ *         were not written for lack of a header (see ensureHeaders).
  */
-function objectsToSheet(array, sheet, headerRowIndex = 1, startRowIndex = 3, mode = "overwrite") {
+function objectsToSheet(array, sheet, headerRowIndex = 1, startRowIndex = 3, mode = "overwrite", options = {}) {
   const sheetName = sheet.getName();
+  const headerChanges = ensureHeaders(sheet, array, headerRowIndex, options);
   const headers = sheet.getRange(headerRowIndex, 1, 1, sheet.getLastColumn()).getValues()[0];
   const dataToInsert = [];
 
@@ -60,6 +68,7 @@ function objectsToSheet(array, sheet, headerRowIndex = 1, startRowIndex = 3, mod
   } else {
     throw new Error("Invalid mode. Use 'overwrite' or 'append'.");
   }
+  return { addedHeaders: headerChanges.added, droppedKeys: headerChanges.dropped };
 }
 
 /**
@@ -68,10 +77,18 @@ function objectsToSheet(array, sheet, headerRowIndex = 1, startRowIndex = 3, mod
  * 
  * Optional settings: 
  *   - Set mode="overwrite" (default), "append" or "overlay" to control insertion behavior.
- *   - In overlay mode, if preserveFormulas is false a batch update is used for efficiency,
- *     but if preserveFormulas is true each row/column is processed individually to restore formulas.
+ *   - Formulas are preserved by merging them into the block of new values, so each mode reads the
+ *     target range once and writes it back with a single setValues call.
+ *   - In overlay mode, if preserveFormulas is false, untouched cells are written back as plain values.
  *   - Set pivot=true to transpose data (default is false).
  *   - Set preserveFormulas=true to preserve existing formulas (default is true).
+ *   - Set dryRun=true to get the list of cell changes without writing anything (default is false).
+ *   - Set addMissingHeaders=true to add a header (a property row in pivot mode) for keys the sheet lacks.
+ *     When it is off, keys with no header are logged, or raise an error with onDroppedKeys="error".
+ *   - Set formulaColumns to the headers of calculated columns (non-pivot overwrite mode only). Those
+ *     columns are never written: rows added by the new data get the formula of the row above
+ *     (R1C1-relative), and formulas in rows past the end of the data are cleared. Columns driven by
+ *     an ARRAYFORMULA are left alone entirely.
  * 
  * @param {Object[]} array - The array of objects to be inserted into the sheet.
  * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The sheet object where data will be inserted.
@@ -83,9 +100,34 @@ function objectsToSheet(array, sheet, headerRowIndex = 1, startRowIndex = 3, mod
  * @param {("overwrite"|"append"|"overlay")} [options.mode="overwrite"] - The insertion mode.
  * @param {boolean} [options.pivot=false] - If true, pivot the table (flip rows/columns).
  * @param {boolean} [options.preserveFormulas=true] - If true, preserve existing formulas.
+ * @param {boolean} [options.dryRun=false] - If true, nothing is written and the cell changes are returned.
+ * @param {boolean} [options.addMissingHeaders=false] - If true, keys with no header get a new header first.
+ * @param {("end"|number|{after: string})} [options.headerPosition="end"] - Where new headers go (see ensureHeaders).
+ * @param {("warn"|"error"|"ignore")} [options.onDroppedKeys="warn"] - How keys with no header are reported
+ *                                                                   when addMissingHeaders is off.
+ * @param {string[]} [options.formulaColumns=[]] - Headers of calculated columns to protect in overwrite mode.
+ * @param {Object} [options.headerMap] - Match headers ignoring case and whitespace, with aliases and strict
+ *                                       checking (see headerMap.js).
+ * @return {{addedHeaders: string[], droppedKeys: string[]}} - The headers that were added and the keys that were
+ *         not written for lack of a header (see ensureHeaders). In dry-run mode, also { dryRun: true, changes } with
+ *         the cells that would change, as { sheet, cell, row, column, header, oldValue, newValue, formulaAffected,
+ *         oldFormula, newFormula }.
  */
 function objectsToSheetV2(array, sheet, headerIndex = 1, startIndex = 3, options = {}) {
-  const { mode = "overwrite", pivot = false, preserveFormulas = true } = options;
+  const { mode = "overwrite", pivot = false, preserveFormulas = true, dryRun = false, headerMap = null } = options;
+  let { formulaColumns = [] } = options;
+
+  // Dry run: write to an in-memory copy of the sheet and report what would change
+  if (dryRun) {
+    const preview = createPreviewSheet(sheet, pivot ? { headerColumn: headerIndex } : { headerRow: headerIndex });
+    const result = objectsToSheetV2(array, preview, headerIndex, startIndex, { ...options, dryRun: false });
+    return { ...result, dryRun: true, changes: preview.getChanges() };
+  }
+
+  if (headerMap) {
+    ({ records: array, fieldNames: [formulaColumns] } = mapRecordsToHeaders(sheet, headerIndex, array, [formulaColumns], options));
+  }
+  const headerChanges = ensureHeaders(sheet, array, headerIndex, options);
   
   // Internal helper: Get the last non-empty row in the sheet.
   function getLastNonEmptyRow(sheet) {
@@ -115,6 +157,74 @@ function objectsToSheetV2(array, sheet, headerIndex = 1, startIndex = 3, options
     }
     return startCol;
   }
+
+  // Internal helper: Overwrite the data block around the formula columns, one write per run of
+  // adjacent data columns, then extend or trim each formula column to the new number of rows.
+  function writeAroundFormulaColumns(headers, dataToInsert, formulaColumnIndices) {
+    const numRows = Math.max(sheet.getLastRow() - startIndex + 1, dataToInsert.length);
+    if (numRows < 1) return;
+
+    const dataColumns = headers.map((header, j) => j).filter(j => formulaColumnIndices.indexOf(j) === -1);
+    getContiguousRuns(dataColumns).forEach(({ start, end }) => {
+      const range = sheet.getRange(startIndex, start + 1, numRows, end - start + 1);
+      const values = [];
+      for (let i = 0; i < numRows; i++) {
+        values.push(i < dataToInsert.length ? dataToInsert[i].slice(start, end + 1) : new Array(end - start + 1).fill(""));
+      }
+      range.setValues(preserveFormulas ? mergeValuesAndFormulas(values, range.getFormulas()) : values);
+    });
+
+    formulaColumnIndices.forEach(j => fillFormulaColumn(headers[j], j + 1, numRows, dataToInsert.length));
+  }
+
+  // Internal helper: Copy the formula of the row above into empty cells of a formula column
+  // down to the last data row, and clear the formulas below it.
+  function fillFormulaColumn(header, column, numRows, dataLength) {
+    // Read from the header row down, so an ARRAYFORMULA placed in the header is detected too
+    const offset = startIndex - headerIndex;
+    const range = sheet.getRange(headerIndex, column, offset + numRows, 1);
+    const formulas = range.getFormulasR1C1().map(row => row[0]);
+    if (formulas.some(formula => /ARRAYFORMULA\s*\(/i.test(formula))) {
+      Logger.log(`Formula column '${header}' uses ARRAYFORMULA and was left as is.`);
+      return;
+    }
+    const values = range.getValues().map(row => row[0]);
+
+    const fills = []; // { index, formula }, index is 0-based from startIndex
+    const clears = [];
+    let template = "";
+    for (let i = 0; i < numRows; i++) {
+      const formula = formulas[offset + i];
+      const value = values[offset + i];
+      if (i < dataLength) {
+        if (formula) {
+          template = formula;
+        } else if (template && (value === "" || value === null)) {
+          fills.push({ index: i, formula: template });
+        }
+      } else if (formula) {
+        clears.push(i);
+      }
+    }
+
+    // Write each run of consecutive rows sharing the same formula in one call
+    let run = [];
+    fills.concat([null]).forEach(fill => {
+      const last = run[run.length - 1];
+      if (last && (!fill || fill.index !== last.index + 1 || fill.formula !== last.formula)) {
+        sheet.getRange(startIndex + run[0].index, column, run.length, 1).setFormulasR1C1(run.map(item => [item.formula]));
+        run = [];
+      }
+      if (fill) run.push(fill);
+    });
+    getContiguousRuns(clears).forEach(({ start, end }) => {
+      sheet.getRange(startIndex + start, column, end - start + 1, 1).clearContent();
+    });
+
+    if (fills.length > 0 || clears.length > 0) {
+      Logger.log(`Formula column '${header}': filled ${fills.length} rows, cleared ${clears.length} rows.`);
+    }
+  }
   
   if (!pivot) {
     // Normal mode: Write objects as rows.
@@ -123,29 +233,27 @@ function objectsToSheetV2(array, sheet, headerIndex = 1, startIndex = 3, options
     
     if (mode === "overwrite") {
       const lastRow = sheet.getLastRow();
+      const formulaColumnIndices = formulaColumns.map(header => {
+        const index = headers.indexOf(header);
+        if (index === -1) {
+          throw new Error(`Formula column '${header}' not found in sheet headers.`);
+        }
+        return index;
+      });
       
-      if (preserveFormulas && lastRow >= startIndex) {
-        // Get existing formulas
-        const numRows = lastRow - startIndex + 1;
+      if (formulaColumnIndices.length > 0) {
+        writeAroundFormulaColumns(headers, dataToInsert, formulaColumnIndices);
+      } else if (preserveFormulas && lastRow >= startIndex) {
+        // One block covering both the old rows and the new data: rows past the data are cleared,
+        // and every cell that held a formula gets it back in the same write
+        const numRows = Math.max(lastRow - startIndex + 1, dataToInsert.length);
         const range = sheet.getRange(startIndex, 1, numRows, headers.length);
         const formulas = range.getFormulas();
-        
-        // Clear the range (this will remove both values and formulas)
-        range.clearContent();
-        
-        // Set the new values
-        if (dataToInsert.length > 0) {
-          sheet.getRange(startIndex, 1, dataToInsert.length, headers.length).setValues(dataToInsert);
-        }
-        
-        // Restore formulas
-        for (let i = 0; i < formulas.length; i++) {
-          for (let j = 0; j < formulas[i].length; j++) {
-            if (formulas[i][j] !== "") {
-              sheet.getRange(startIndex + i, j + 1).setFormula(formulas[i][j]);
-            }
-          }
+        const values = [];
+        for (let i = 0; i < numRows; i++) {
+          values.push(i < dataToInsert.length ? dataToInsert[i] : new Array(headers.length).fill(""));
         }
+        range.setValues(mergeValuesAndFormulas(values, formulas));
       } else {
         // Clear and set without preserving formulas
         if (sheet.getLastRow() >= startIndex) {
@@ -165,43 +273,22 @@ function objectsToSheetV2(array, sheet, headerIndex = 1, startIndex = 3, options
       
     } else if (mode === "overlay") {
       // Overlay mode: update only cells where the new object provides a value,
-      // leaving existing content (and formulas) intact.
-      if (!preserveFormulas) {
-        // Batch update overlay mode for efficiency when not preserving formulas.
+      // leaving existing content (and, if preserveFormulas is true, formulas) intact.
+      if (dataToInsert.length > 0) {
         const range = sheet.getRange(startIndex, 1, dataToInsert.length, headers.length);
         const currentData = range.getValues();
-        // Overlay new values onto currentData
+        const formulas = preserveFormulas ? range.getFormulas() : null;
+        // Overlay new values onto currentData; a new value replaces any formula in its cell
         for (let i = 0; i < dataToInsert.length; i++) {
           for (let j = 0; j < headers.length; j++) {
             if (array[i].hasOwnProperty(headers[j])) {
               currentData[i][j] = array[i][headers[j]];
+              if (formulas) formulas[i][j] = "";
             }
           }
         }
         // Write updated data back in one batch
-        range.setValues(currentData);
-      } else {
-        // Process each row individually if preserving formulas.
-        for (let i = 0; i < dataToInsert.length; i++) {
-          const targetRow = startIndex + i;
-          const currentRange = sheet.getRange(targetRow, 1, 1, headers.length);
-          const currentValues = currentRange.getValues()[0];
-          const currentFormulas = currentRange.getFormulas()[0];
-          const newRow = [];
-          for (let j = 0; j < headers.length; j++) {
-            if (array[i].hasOwnProperty(headers[j])) {
-              newRow.push(array[i][headers[j]]);
-            } else {
-              newRow.push(currentValues[j]);
-            }
-          }
-          currentRange.setValues([newRow]);
-          for (let j = 0; j < headers.length; j++) {
-            if (!array[i].hasOwnProperty(headers[j]) && currentFormulas[j] !== "") {
-              sheet.getRange(targetRow, j + 1).setFormula(currentFormulas[j]);
-            }
-          }
-        }
+        range.setValues(formulas ? mergeValuesAndFormulas(currentData, formulas) : currentData);
       }
       
     } else {
@@ -234,83 +321,39 @@ function objectsToSheetV2(array, sheet, headerIndex = 1, startIndex = 3, options
       sheet.getRange(1, baseCol, numProperties, numNewCols).setValues(batchData);
       
     } else if (mode === "overwrite") {
-      array.forEach((obj, index) => {
-        const targetCol = startIndex + index;
-        const columnData = properties.map(prop => [obj.hasOwnProperty(prop) ? obj[prop] : ""]);
-        
-        if (preserveFormulas) {
-          // Get existing formulas
-          const range = sheet.getRange(1, targetCol, numProperties, 1);
-          const formulas = range.getFormulas();
-          
-          // Clear the range
-          range.clearContent();
-          
-          // Set the new values
-          sheet.getRange(1, targetCol, numProperties, 1).setValues(columnData);
-          
-          // Restore formulas
-          for (let i = 0; i < formulas.length; i++) {
-            if (formulas[i][0] !== "") {
-              sheet.getRange(i + 1, targetCol).setFormula(formulas[i][0]);
-            }
-          }
-        } else {
-          // Clear and set without preserving formulas
-          sheet.getRange(1, targetCol, numProperties, 1).setValues(columnData);
-        }
-      });
+      // Write all columns as one block; cells that held a formula keep it
+      if (array.length > 0 && numProperties > 0) {
+        const range = sheet.getRange(1, startIndex, numProperties, array.length);
+        const batchData = properties.map(prop => array.map(obj => obj.hasOwnProperty(prop) ? obj[prop] : ""));
+        range.setValues(preserveFormulas ? mergeValuesAndFormulas(batchData, range.getFormulas()) : batchData);
+      }
       
     } else if (mode === "overlay") {
       // Overlay mode for pivot: update only cells where the new object provides a value,
-      // leaving existing content (and formulas) intact.
-      if (!preserveFormulas) {
-        // Batch update overlay mode for pivot when not preserving formulas.
+      // leaving existing content (and, if preserveFormulas is true, formulas) intact.
+      if (array.length > 0 && numProperties > 0) {
         const numNewCols = array.length;
         const range = sheet.getRange(1, startIndex, numProperties, numNewCols);
         const currentData = range.getValues();
+        const formulas = preserveFormulas ? range.getFormulas() : null;
         for (let j = 0; j < numNewCols; j++) {
           const obj = array[j];
           for (let i = 0; i < numProperties; i++) {
             const prop = properties[i];
             if (obj.hasOwnProperty(prop)) {
               currentData[i][j] = obj[prop];
+              if (formulas) formulas[i][j] = "";
             }
           }
         }
-        range.setValues(currentData);
-      } else {
-        // Process each column individually if preserving formulas.
-        array.forEach((obj, index) => {
-          const targetCol = startIndex + index;
-          const currentRange = sheet.getRange(1, targetCol, numProperties, 1);
-          const currentValues = currentRange.getValues();
-          const currentFormulas = currentRange.getFormulas();
-          const newColData = [];
-          
-          for (let i = 0; i < numProperties; i++) {
-            const prop = properties[i];
-            if (obj.hasOwnProperty(prop)) {
-              newColData.push([obj[prop]]);
-            } else {
-              newColData.push(currentValues[i]);
-            }
-          }
-          
-          currentRange.setValues(newColData);
-          
-          for (let i = 0; i < numProperties; i++) {
-            if (!obj.hasOwnProperty(properties[i]) && currentFormulas[i][0] !== "") {
-              sheet.getRange(i + 1, targetCol).setFormula(currentFormulas[i][0]);
-            }
-          }
-        });
+        range.setValues(formulas ? mergeValuesAndFormulas(currentData, formulas) : currentData);
       }
       
     } else {
       throw new Error("Invalid mode. Use 'overwrite', 'append' or 'overlay'.");
     }
   }
+  return { addedHeaders: headerChanges.added, droppedKeys: headerChanges.dropped };
 }
 
 /**
@@ -318,6 +361,8 @@ function objectsToSheetV2(array, sheet, headerIndex = 1, startIndex = 3, options
  *
  * By default, the function reads the header row as the property keys and each row as the values.
  * With the pivot option set to true, it reads the header column as the property keys and each column as the values.
+ * In pivot mode, recordNameRow names each record (column) under recordNameKey, propertyStartRow skips rows
+ * above the properties, and skipEmptyColumns=false keeps columns that hold no values.
  *
  * @param {Sheet} sheet - The Google Sheet to process.
  * @param {number} headerIndex - In normal mode, the row number containing headers.
@@ -329,14 +374,32 @@ function objectsToSheetV2(array, sheet, headerIndex = 1, startIndex = 3, options
  *                               (e.g., "Z"), mute=true (default) to suppress logging, useDisplayDates=true (default) 
  *                               to replace date objects with displayed text, pivot=false (default) to control 
  *                               table orientation, keepNull=false (default) to include empty cells as null values,
- *                               keepEmpty=false (default) to include empty cells as empty strings.
- * @param {string|null} [options.lastColumn=null] - Last column to process, e.g., "Z".
+ *                               keepEmpty=false (default) to include empty cells as empty strings,
+ *                               schema to coerce and validate each column.
+ * @param {string|null} [options.lastColumn=null] - Last column to process, e.g., "Z". Also applies in pivot mode.
  * @param {boolean} [options.mute=true] - Suppress logging.
  * @param {boolean} [options.useDisplayDates=true] - Replace date objects with displayed text.
  * @param {boolean} [options.pivot=false] - If true, pivot the table (flip rows/columns) before processing.
  * @param {boolean} [options.keepNull=false] - If true, include empty cells as null values in the result objects.
  * @param {boolean} [options.keepEmpty=false] - If true, include empty cells as empty strings in the result objects.
- * @return {Object[]} - Array of objects representing the sheet data.
+ * @param {number} [options.propertyStartRow=1] - Pivot mode: the first row holding properties.
+ * @param {number|null} [options.recordNameRow=null] - Pivot mode: the row holding each record's name. Columns
+ *                                                    without a name are skipped. The row is still read as a
+ *                                                    property if its header cell is filled.
+ * @param {string} [options.recordNameKey="_columnName"] - Pivot mode: the key the record name is stored under.
+ * @param {boolean} [options.skipEmptyColumns=true] - Pivot mode: if true, skip columns with no values apart
+ *                                                   from the record name.
+ * @param {Object|null} [options.headerMap=null] - Match headers ignoring case and whitespace, resolve aliases and
+ *                                                 optionally use camelCase keys (see headerMap.js). Schema fields
+ *                                                 then refer to the resulting keys.
+ * @param {Object|null} [options.schema=null] - Map of header to type ("string", "number", "integer", "boolean",
+ *                                              "date", "enum", "email") or to a field definition such as
+ *                                              { type: "number", required: true, default: 0 }. See normaliseSchema.
+ *                                              When set, each cell is coerced to its type and invalid or missing
+ *                                              values are collected as errors instead of being returned.
+ * @return {Object[]|{data: Object[], errors: Object[]}} - Array of objects representing the sheet data.
+ *         When a schema is given, an object with the data and a list of errors, each of the form
+ *         { row, header, value, message } (or { column, ... } in pivot mode).
  */
 function sheetToObjectsV2(sheet, headerIndex = 1, startIndex = 3, options = {}) {
   const baseOptions = {
@@ -345,10 +408,21 @@ function sheetToObjectsV2(sheet, headerIndex = 1, startIndex = 3, options = {})
     useDisplayDates: true,
     pivot: false,
     keepNull: false,
-    keepEmpty: false
+    keepEmpty: false,
+    schema: null,
+    propertyStartRow: 1,
+    recordNameRow: null,
+    recordNameKey: "_columnName",
+    skipEmptyColumns: true,
+    headerMap: null
   };
 
-  const { lastColumn, mute, useDisplayDates, pivot, keepNull, keepEmpty } = { ...baseOptions, ...options };
+  const {
+    lastColumn, mute, useDisplayDates, pivot, keepNull, keepEmpty, schema,
+    propertyStartRow, recordNameRow, recordNameKey, skipEmptyColumns, headerMap
+  } = { ...baseOptions, ...options };
+  const fields = schema ? normaliseSchema(schema) : null;
+  const errors = [];
 
   // Validate that keepNull and keepEmpty aren't both true
   if (keepNull && keepEmpty) {
@@ -364,6 +438,7 @@ function sheetToObjectsV2(sheet, headerIndex = 1, startIndex = 3, options = {})
   const lastColumnIndex = lastColumn ? columnNameToIndex(lastColumn) : sheet.getLastColumn();
 
   let headers, data, displayData;
+  let recordNames = null; // Pivot mode: the name of each record, when recordNameRow is set
 
   // Helper: Transpose a 2D array.
   function transpose(matrix) {
@@ -406,7 +481,7 @@ function sheetToObjectsV2(sheet, headerIndex = 1, startIndex = 3, options = {})
     const lastRow = sheet.getLastRow();
     if (lastRow < startIndex) {
       Logger.log(`The sheet '${sheetName}' is empty.`);
-      return null;
+      return fields ? { data: [], errors } : null;
     }
 
     const dataRange = sheet.getRange(startIndex, 1, lastRow - startIndex + 1, headers.length);
@@ -417,70 +492,158 @@ function sheetToObjectsV2(sheet, headerIndex = 1, startIndex = 3, options = {})
   } else {
     // Pivot mode: Read headers from a column and data from columns.
     // Then, transpose the data so that the rest of the function can process it as if it were row-based.
-    headers = sheet.getRange(1, headerIndex, sheet.getLastRow(), 1).getValues().flat();
     const lastRow = sheet.getLastRow();
-    const lastCol = sheet.getLastColumn();
-    const dataRange = sheet.getRange(1, startIndex, lastRow, lastCol - startIndex + 1);
-    const rawData = dataRange.getValues();
-    data = transpose(rawData);
+    if (lastRow < propertyStartRow || lastColumnIndex < startIndex) {
+      Logger.log(`The sheet '${sheetName}' is empty.`);
+      return fields ? { data: [], errors } : null;
+    }
+
+    const numRows = lastRow - propertyStartRow + 1;
+    const numColumns = lastColumnIndex - startIndex + 1;
+    headers = sheet.getRange(propertyStartRow, headerIndex, numRows, 1).getValues().flat();
+    const dataRange = sheet.getRange(propertyStartRow, startIndex, numRows, numColumns);
+    data = transpose(dataRange.getValues());
     if (useDisplayDates) {
-      const dispRange = sheet.getRange(1, startIndex, lastRow, lastCol - startIndex + 1);
-      const rawDispData = dispRange.getDisplayValues();
-      displayData = transpose(rawDispData);
+      displayData = transpose(dataRange.getDisplayValues());
     }
+
+    if (recordNameRow) {
+      const nameIndex = recordNameRow - propertyStartRow;
+      recordNames = nameIndex >= 0 && nameIndex < numRows
+        ? data.map(column => column[nameIndex])
+        : sheet.getRange(recordNameRow, startIndex, 1, numColumns).getValues()[0];
+    }
+  }
+
+  if (headerMap) {
+    headers = mapHeadersToKeys(headers, headerMap, sheetName);
   }
 
-  // Filter out any empty rows.
-  const filteredData = data.filter(row => row.some(cell => cell !== ""));
+  // Filter out any empty rows (columns in pivot mode), remembering the original index of each one that is kept.
+  // In pivot mode, a column needs a record name when recordNameRow is set, and the name itself does not count as data.
+  const nameIndex = recordNames ? recordNameRow - propertyStartRow : -1;
+  const keptIndices = [];
+  data.forEach((row, index) => {
+    if (recordNames && (recordNames[index] === "" || recordNames[index] === null)) return;
+    const hasData = row.some((cell, cellIndex) => cell !== "" && cellIndex !== nameIndex);
+    if (hasData || (pivot && !skipEmptyColumns)) keptIndices.push(index);
+  });
+  const filteredData = keptIndices.map(index => data[index]);
   if (filteredData.length === 0) {
     Logger.log(`The sheet '${sheetName}' is empty.`);
-    return { message: `The sheet '${sheetName}' is empty.`, data: [] };
+    const emptyResult = { message: `The sheet '${sheetName}' is empty.`, data: [] };
+    return fields ? { ...emptyResult, errors } : emptyResult;
+  }
+
+  // Schema fields without a matching header still get their default or a "required" error.
+  const missingFields = fields ? Object.keys(fields).filter(header => headers.indexOf(header) === -1) : [];
+
+  // Helper: Record a validation error against the sheet row (or column in pivot mode).
+  function addError(rowIndex, header, value, message) {
+    const position = startIndex + keptIndices[rowIndex];
+    errors.push({ [pivot ? "column" : "row"]: position, header, value, message });
   }
 
   // Convert each row of data into an object using the headers.
+  const rowSettings = { fields, missingFields, useDisplayDates, keepNull, keepEmpty };
   const objectsArray = filteredData.map((row, rowIndex) => {
-    const obj = {};
-    headers.forEach((header, colIndex) => {
-      if (!header) return; // skip empty headers
-
-      const value = row[colIndex];
-      if (typeof value === "object") {
-        // Check if this is a genuine Date object.
-        const isDate = Object.prototype.toString.call(value) === "[object Date]";
-        if (isDate && useDisplayDates && displayData) {
-          obj[header] = displayData[rowIndex][colIndex];
-          return;
-        }
-      }
-      
-      if (value !== null && value !== "" && value !== undefined) {
-        obj[header] = value;
-      } else if (keepNull) {
-        // If keepNull is true, include empty cells as null values
-        obj[header] = null;
-      } else if (keepEmpty) {
-        // If keepEmpty is true and keepNull is false, include empty cells as empty strings
-        obj[header] = "";
-      }
+    const displayRow = displayData ? displayData[keptIndices[rowIndex]] : null;
+    const obj = rowToObject(row, headers, displayRow, rowSettings, (header, value, message) => {
+      addError(rowIndex, header, value, message);
     });
+
+    if (recordNames) {
+      obj[recordNameKey] = recordNames[keptIndices[rowIndex]];
+    }
+
     return obj;
   });
 
   if (!mute) {
     objectsArray.forEach((rowObject, index) => {
-      Logger.log(`Row ${index + startIndex}: ${JSON.stringify(rowObject)}`);
+      Logger.log(`${pivot ? "Column" : "Row"} ${keptIndices[index] + startIndex}: ${JSON.stringify(rowObject)}`);
+    });
+    errors.forEach(error => {
+      Logger.log(`Validation error: ${JSON.stringify(error)}`);
     });
   }
 
-  return objectsArray;
+  return fields ? { data: objectsArray, errors } : objectsArray;
+}
+
+/**
+ * Turns one row of sheet values into an object keyed by header.
+ *
+ * @param {Array} row - The row values, as returned by getValues().
+ * @param {Array} headers - The headers, in the same column order. Columns with an empty header are skipped.
+ * @param {Array|null} displayRow - The displayed text of the row. Only read for cells holding a date,
+ *                                  so it may be left undefined for other columns.
+ * @param {Object} settings - { fields, missingFields, useDisplayDates, keepNull, keepEmpty }, where fields is
+ *                            the normalised schema (or null) and missingFields lists schema headers not in the sheet.
+ * @param {Function} onError - Called as onError(header, value, message) for each schema validation error.
+ * @return {Object} - The row object.
+ */
+function rowToObject(row, headers, displayRow, settings, onError) {
+  const { fields = null, missingFields = [], useDisplayDates = true, keepNull = false, keepEmpty = false } = settings;
+  const obj = {};
+
+  headers.forEach((header, colIndex) => {
+    if (!header) return; // skip empty headers
+
+    let value = row[colIndex];
+
+    if (fields && fields[header]) {
+      // Schema mode: coerce the value and collect any validation error.
+      const result = coerceSchemaValue(value, fields[header], displayRow ? displayRow[colIndex] : undefined);
+      if (result.error) {
+        onError(header, value, result.error);
+        return;
+      }
+      if (!result.empty) {
+        obj[header] = result.value;
+        return;
+      }
+      value = null;
+    } else if (typeof value === "object") {
+      // Check if this is a genuine Date object.
+      const isDate = Object.prototype.toString.call(value) === "[object Date]";
+      if (isDate && useDisplayDates && displayRow) {
+        obj[header] = displayRow[colIndex];
+        return;
+      }
+    }
+    
+    if (value !== null && value !== "" && value !== undefined) {
+      obj[header] = value;
+    } else if (keepNull) {
+      // If keepNull is true, include empty cells as null values
+      obj[header] = null;
+    } else if (keepEmpty) {
+      // If keepEmpty is true and keepNull is false, include empty cells as empty strings
+      obj[header] = "";
+    }
+  });
+
+  missingFields.forEach(header => {
+    const result = coerceSchemaValue(undefined, fields[header]);
+    if (result.error) {
+      onError(header, undefined, result.error);
+    } else if (!result.empty) {
+      obj[header] = result.value;
+    }
+  });
+
+  return obj;
 }
 
 /**
  * Processes sheet data with columns as properties
+ * Kept for existing callers: this is sheetToObjectsV2 in pivot mode with property names in column A,
+ * records from column B, and each record named by its cell in the header row (as _columnName).
  * 
  * @param {Sheet} sheet - The Google Sheet to process
  * @param {number} headerRow - Row number containing headers
- * @param {number} startRow - Row number where data starts
+ * @param {number} startRow - Row number where data starts (unused, properties are read from headerRow down)
  * @param {number} lastColumnIndex - Last column index to process
  * @param {boolean} useDisplayDates - Whether to use display values for dates
  * @param {boolean} mute - Whether to suppress logging
@@ -488,112 +651,21 @@ function sheetToObjectsV2(sheet, headerIndex = 1, startIndex = 3, options = {})
  * @return {Object[]} - Array of objects representing sheet columns
  */
 function processColumnsAsProperties(sheet, headerRow, startRow, lastColumnIndex, useDisplayDates, mute, sheetName) {
-  // Get the first column which will contain our "headers" (property names)
-  const lastRow = sheet.getLastRow();
-  if (lastRow < headerRow) {
+  if (sheet.getLastRow() < headerRow) {
     Logger.log(`The sheet '${sheetName}' is empty.`);
     return null;
   }
-  
-  // Get the property names from the first column
-  const propertyNamesRange = sheet.getRange(headerRow, 1, lastRow - headerRow + 1, 1);
-  const propertyNames = propertyNamesRange.getValues().map(row => row[0]);
-  
-  // Filter out empty property names
-  const filteredPropertyNames = [];
-  const propertyIndices = [];
-  
-  propertyNames.forEach((prop, index) => {
-    if (prop && prop !== "") {
-      filteredPropertyNames.push(prop);
-      propertyIndices.push(index + headerRow);
-    }
-  });
-  
-  if (filteredPropertyNames.length === 0) {
-    Logger.log(`No valid property names found in the first column of '${sheetName}'.`);
-    return [];
-  }
-  
-  // Get all data including the header row (which will be column names)
-  const columnsData = sheet.getRange(headerRow, 2, lastRow - headerRow + 1, lastColumnIndex - 1).getValues();
-  
-  // Get display values if needed
-  let displayData;
-  if (useDisplayDates) {
-    displayData = sheet.getRange(headerRow, 2, lastRow - headerRow + 1, lastColumnIndex - 1).getDisplayValues();
-  }
-  
-  // Extract column names (these will be the object keys)
-  const columnNames = columnsData[0];
-  
-  // Remove columns where all cells are empty (except the header)
-  const validColumnIndices = [];
-  
-  for (let colIndex = 0; colIndex < columnNames.length; colIndex++) {
-    if (columnNames[colIndex] && columnNames[colIndex] !== "") {
-      // Check if the column has any data
-      const hasData = columnsData.slice(1).some(row => {
-        const value = row[colIndex];
-        return value !== null && value !== "" && value !== undefined;
-      });
-      
-      if (hasData) {
-        validColumnIndices.push(colIndex);
-      }
-    }
-  }
-  
-  if (validColumnIndices.length === 0) {
-    Logger.log(`No valid data columns found in '${sheetName}'.`);
-    return [];
-  }
-  
-  // Now create the objects with columns as properties
-  const objectsArray = [];
-  
-  validColumnIndices.forEach(colIndex => {
-    const columnName = columnNames[colIndex];
-    if (!columnName) return; // Skip columns with no name
-    
-    const obj = {};
-    
-    filteredPropertyNames.forEach((propName, index) => {
-      const rowIndex = propertyIndices[index] - headerRow;
-      
-      if (rowIndex < columnsData.length) {
-        const value = columnsData[rowIndex][colIndex];
-        
-        if (typeof value === "object") {
-          // Check if it's a date
-          const isDate = Object.prototype.toString.call(value) === "[object Date]";
-          if (isDate && useDisplayDates && displayData) {
-            obj[propName] = displayData[rowIndex][colIndex];
-            return;
-          }
-        }
-        
-        // Use the raw value if it is not null/empty
-        if (value !== null && value !== "" && value !== undefined) {
-          obj[propName] = value;
-        }
-      }
-    });
-    
-    // Only add the object if it has properties
-    if (Object.keys(obj).length > 0) {
-      obj._columnName = columnName; // Add the column name as a reference
-      objectsArray.push(obj);
-    }
+
+  const result = sheetToObjectsV2(sheet, 1, 2, {
+    pivot: true,
+    propertyStartRow: headerRow,
+    recordNameRow: headerRow,
+    recordNameKey: "_columnName",
+    lastColumn: lastColumnIndex ? columnIndexToName(lastColumnIndex) : null,
+    useDisplayDates,
+    mute
   });
-  
-  if (!mute) {
-    objectsArray.forEach((colObject, index) => {
-      Logger.log(`Column ${index + 2}: ${JSON.stringify(colObject)}`);
-    });
-  }
-  
-  return objectsArray;
+  return Array.isArray(result) ? result : [];
 }
 
 /** #### WARNING: #### TO BE DEPRECIATED */
@@ -710,32 +782,87 @@ function sheetToObjects(sheet, startRow = 3, lastColumn, mute = true, headerRow
  * Skips non-existent columns and logs warnings.
  * Uses batch writing per column to minimize API calls while preserving untouched cells.
  *
+ * Rows are matched on a single column or, by passing an array of header names, on a composite key
+ * (e.g. ["Client ID", "Month"]). Rows and objects whose key is only partly filled are not matched
+ * and are reported in the returned incompleteKeys list.
+ *
+ * With pivot=true the sheet holds one record per column, like objectsToSheetV2 in pivot mode:
+ * headerRowIndex is the column with the property names, startRowIndex the first record column,
+ * columnToMatch names the property row(s) to match on, and row numbers in the result are column numbers.
+ *
  * @param {Sheet} sheet - The Google Sheet object to process.
  * @param {Array<Object>} data - Array of objects to match with rows in the sheet.
- * @param {string} columnToMatch - The header name of the column to match.
+ * @param {string|string[]} columnToMatch - The header name, or array of header names, of the column(s) to match.
  * @param {Array<string>} columnsToAdd - Array of header names of the columns to update.
+ * @param {number} [headerRowIndex=1] - The row (1-based) that holds the headers.
+ * @param {number} [startRowIndex=headerRowIndex + 1] - The first row (1-based) that holds data.
+ * @param {Object} [options] - Optional settings.
+ * @param {boolean} [options.pivot=false] - If true, records are columns and properties are rows.
+ * @param {Object} [options.headerMap] - Match headers ignoring case and whitespace, with aliases and strict
+ *                                       checking (see headerMap.js).
+ * @param {boolean} [options.dryRun=false] - If true, nothing is written and the cell changes are returned
+ *                                          as changes: [{ sheet, cell, row, column, header, oldValue, newValue,
+ *                                          formulaAffected, oldFormula, newFormula }].
+ * @param {string|{sheet: string, data: string}} [options.duplicatePolicy={ sheet: "all", data: "last" }] - What to do
+ *        when a key appears in several sheet rows or several data objects: "error" throws before anything is
+ *        written, "first" or "last" uses only that row (object), "all" updates every row sharing the key (merges
+ *        the objects sharing it in order, later values winning). One value applies to both sides.
+ * @param {Object} [options.stamps] - Write updated timestamps, the user and a content hash to the given headers,
+ *                                    and optionally leave unchanged rows alone (see changeStamps.js). Only the
+ *                                    columns to update and the stamp columns are written.
+ * @return {{incompleteKeys: Object[], duplicates: Object, unchanged: Object}} - Sheet rows
+ *         ({ source: "sheet", row, key }) and data objects ({ source: "data", index, key }) that were skipped because
+ *         their key is incomplete, the duplicated keys as { sheet: [{ key, rows }], data: [{ key, indices }] } (only
+ *         sheet rows whose key is in the data are checked), and the matched rows left alone under
+ *         stamps.skipUnchanged as { count, rows }.
  */
-function findAndUpdateRows(sheet, data, columnToMatch, columnsToAdd) {
+function findAndUpdateRows(sheet, data, columnToMatch, columnsToAdd, headerRowIndex = 1, startRowIndex = headerRowIndex + 1, options = {}) {
+  const { dryRun = false, pivot = false } = options;
+
   // Parameter validation
   if (
     !sheet ||
     !Array.isArray(data) ||
-    typeof columnToMatch !== "string" ||
     !Array.isArray(columnsToAdd)
   ) {
     throw new Error("Invalid parameters. Check that the inputs are valid.");
   }
+  toMatchColumns(columnToMatch);
+  validateSheetLayout(headerRowIndex, startRowIndex);
+  const duplicatePolicy = toDuplicatePolicy(options.duplicatePolicy, { sheet: "all", data: "last" });
+
+  // Dry run: update an in-memory copy of the sheet and report what would change
+  if (dryRun) {
+    const preview = createPreviewSheet(sheet, pivot ? { headerColumn: headerRowIndex } : { headerRow: headerRowIndex });
+    const result = findAndUpdateRows(preview, data, columnToMatch, columnsToAdd, headerRowIndex, startRowIndex, { ...options, dryRun: false });
+    return { ...result, dryRun: true, changes: preview.getChanges() };
+  }
 
-  // Get all data from the sheet
-  const sheetData = sheet.getDataRange().getValues();
-  if (sheetData.length < 2) return; // No data or only headers in the sheet
-
-  const headers = sheetData[0]; // First row contains the headers
-  const columnIndexToMatch = headers.indexOf(columnToMatch);
+  // Pivot: run the row-wise update on a transposed view of the sheet
+  if (pivot) {
+    return findAndUpdateRows(createTransposedSheet(sheet), data, columnToMatch, columnsToAdd, headerRowIndex, startRowIndex, { ...options, pivot: false });
+  }
 
-  if (columnIndexToMatch === -1) {
-    throw new Error(`Column '${columnToMatch}' not found in sheet headers.`);
+  if (options.headerMap) {
+    ({ records: data, fieldNames: [columnToMatch, columnsToAdd] } = mapRecordsToHeaders(sheet, headerRowIndex, data, [columnToMatch, columnsToAdd], options));
   }
+  const matchColumns = toMatchColumns(columnToMatch);
+
+  // Get the headers and all data rows from the sheet
+  const headers = getHeaderRow(sheet, headerRowIndex);
+  const numRows = sheet.getLastRow() - startRowIndex + 1;
+  const emptySummary = { incompleteKeys: [], duplicates: { sheet: [], data: [] }, unchanged: { count: 0, rows: [] } };
+  if (numRows < 1 || headers.length === 0) return emptySummary; // No data or only headers in the sheet
+
+  // sheetData[0] is the sheet row startRowIndex
+  const sheetData = sheet.getRange(startRowIndex, 1, numRows, headers.length).getValues();
+  const matchIndices = matchColumns.map((column) => {
+    const index = headers.indexOf(column);
+    if (index === -1) {
+      throw new Error(`Column '${column}' not found in sheet headers.`);
+    }
+    return index;
+  });
 
   // Get indices for each column to update, skipping missing columns
   const columnsInfo = columnsToAdd
@@ -753,52 +880,115 @@ function findAndUpdateRows(sheet, data, columnToMatch, columnsToAdd) {
 
   if (columnsInfo.length === 0) {
     Logger.log("No valid columns to update. Exiting function.");
-    return; // Exit if there are no valid columns to update
+    return emptySummary; // Exit if there are no valid columns to update
   }
 
-  // Create a lookup map from the data array
-  const dataLookup = new Map(
-    data.map((obj) => [obj[columnToMatch], obj])
-  );
+  // Create a lookup map from the data array, skipping objects with an incomplete key
+  // Map "key" => { parts, indices } (several indices when the key is duplicated)
+  const incompleteKeys = [];
+  const dataLookup = new Map();
+  data.forEach((obj, index) => {
+    const matchKey = buildMatchKey(matchColumns, matchColumns.map((column) => obj[column]));
+    if (matchKey.complete) {
+      if (!dataLookup.has(matchKey.key)) dataLookup.set(matchKey.key, { parts: matchKey.parts, indices: [] });
+      dataLookup.get(matchKey.key).indices.push(index);
+    } else {
+      incompleteKeys.push({ source: "data", index, key: matchKey.parts });
+    }
+  });
 
-  // Track which rows need to be updated
-  const rowsToUpdate = []; // Array of row indices (0-based, excluding header)
-  for (let i = 1; i < sheetData.length; i++) {
-    const rowValue = sheetData[i][columnIndexToMatch];
-    if (dataLookup.has(rowValue)) {
-      rowsToUpdate.push(i);
+  // Find the rows of each key in the data
+  const rowsByKey = new Map(); // key => { parts, rows } (rows are 0-based in sheetData)
+  for (let i = 0; i < sheetData.length; i++) {
+    const matchKey = buildMatchKey(matchColumns, matchIndices.map((index) => sheetData[i][index]));
+    if (matchKey.complete) {
+      if (dataLookup.has(matchKey.key)) {
+        if (!rowsByKey.has(matchKey.key)) rowsByKey.set(matchKey.key, { parts: matchKey.parts, rows: [] });
+        rowsByKey.get(matchKey.key).rows.push(i);
+      }
+    } else if (!matchKey.empty) {
+      incompleteKeys.push({ source: "sheet", row: startRowIndex + i, key: matchKey.parts });
     }
   }
 
-  if (rowsToUpdate.length === 0) {
-    Logger.log("No matching rows found to update.");
-    return;
+  if (incompleteKeys.length > 0) {
+    Logger.log(`Warning: Skipped ${incompleteKeys.length} rows/objects with an incomplete key: ${JSON.stringify(incompleteKeys)}`);
   }
 
-  // For each column to add, prepare and set the updated values
-  columnsInfo.forEach(({ columnIndex, columnName }) => {
-    // Get existing values for the column
-    const columnRange = sheet.getRange(2, columnIndex + 1, sheetData.length - 1, 1);
-    const columnValues = columnRange.getValues(); // 2D array
+  // Only duplicate rows that would be updated matter here
+  const duplicates = reportDuplicateKeys({
+    sheet: Array.from(rowsByKey.values())
+      .filter(({ rows }) => rows.length > 1)
+      .map(({ parts, rows }) => ({ key: parts, rows: rows.map((i) => startRowIndex + i) })),
+    data: Array.from(dataLookup.values())
+      .filter(({ indices }) => indices.length > 1)
+      .map(({ parts, indices }) => ({ key: parts, indices }))
+  }, duplicatePolicy);
+
+  // Track which rows need to be updated, and with which object
+  const rowsToUpdate = []; // Array of { rowIndex, matchedObject } (rowIndex is 0-based in sheetData)
+  rowsByKey.forEach(({ rows }, key) => {
+    // Under "all" the objects sharing the key are merged in order, so later values win
+    const kept = pickDuplicatePositions(dataLookup.get(key).indices, duplicatePolicy.data);
+    const matchedObject = kept.length === 1 ? data[kept[0]] : Object.assign({}, ...kept.map((i) => data[i]));
+    pickDuplicatePositions(rows, duplicatePolicy.sheet).forEach((rowIndex) => {
+      rowsToUpdate.push({ rowIndex, matchedObject });
+    });
+  });
 
-    // Update the necessary rows
-    rowsToUpdate.forEach((rowIndex) => {
-      const matchedObject = dataLookup.get(sheetData[rowIndex][columnIndexToMatch]);
-      columnValues[rowIndex - 1][0] = matchedObject[columnName] || ""; // Update with value or empty string
+  // Stamp the rows, leaving out those whose content would not change
+  const unchanged = [];
+  if (options.stamps) {
+    const stamper = createChangeStamper(options.stamps, headers, sheet.getName());
+    // Updates never write createdAt, which would otherwise be blanked
+    stamper.headers.filter((columnName) => columnName !== options.stamps.createdAt).forEach((columnName) => {
+      if (!columnsInfo.some((info) => info.columnName === columnName)) {
+        columnsInfo.push({ columnIndex: headers.indexOf(columnName), columnName });
+      }
     });
+    for (let i = rowsToUpdate.length - 1; i >= 0; i--) {
+      const { rowIndex, matchedObject } = rowsToUpdate[i];
+      const row = sheetData[rowIndex].slice();
+      columnsInfo.forEach(({ columnIndex, columnName }) => {
+        if (stamper.headers.indexOf(columnName) === -1) row[columnIndex] = matchedObject[columnName] ?? "";
+      });
+      const stamps = stamper.stamp(row, sheetData[rowIndex]);
+      if (stamps === null) {
+        unchanged.unshift(startRowIndex + rowIndex);
+        rowsToUpdate.splice(i, 1);
+      } else {
+        rowsToUpdate[i] = { rowIndex, matchedObject: { ...matchedObject, ...stamps } };
+      }
+    }
+  }
 
-    // Set the updated values back to the column
-    columnRange.setValues(columnValues);
+  if (rowsToUpdate.length === 0) {
+    Logger.log("No matching rows found to update.");
+    return { incompleteKeys, duplicates, unchanged: { count: unchanged.length, rows: unchanged } };
+  }
+
+  // Write the updated columns of the matched rows only, so other rows (and their formulas) are left alone
+  const updatedColumns = new Set(columnsInfo.map(({ columnIndex }) => columnIndex));
+  const changedCells = new Map();
+  rowsToUpdate.forEach(({ rowIndex, matchedObject }) => {
+    columnsInfo.forEach(({ columnIndex, columnName }) => {
+      sheetData[rowIndex][columnIndex] = matchedObject[columnName] ?? ""; // Update with value or empty string
+    });
+    changedCells.set(rowIndex, updatedColumns);
   });
+  writeChangedRows(sheet, sheetData, changedCells, startRowIndex);
 
   Logger.log(`Updated ${rowsToUpdate.length} rows for columns: ${columnsToAdd.join(", ")}`);
+  return { incompleteKeys, duplicates, unchanged: { count: unchanged.length, rows: unchanged } };
 }
 
 /** DEPRECIATED (use findAndUpdateRows) : Update a particular row based on a match */
 
-function objectToRow(sheet, headerToMatch, valueToMatch, newRowData) {
-  // Read the first row (headers) to find column indices
-  var headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+function objectToRow(sheet, headerToMatch, valueToMatch, newRowData, headerRowIndex = 1, startRowIndex = headerRowIndex + 1) {
+  validateSheetLayout(headerRowIndex, startRowIndex);
+
+  // Read the header row to find column indices
+  var headers = getHeaderRow(sheet, headerRowIndex);
   var columnIndex = headers.indexOf(headerToMatch) + 1;
   
   if (columnIndex === 0) {
@@ -806,13 +996,13 @@ function objectToRow(sheet, headerToMatch, valueToMatch, newRowData) {
   }
 
   // Find the row to update
-  var dataRange = sheet.getRange(2, columnIndex, sheet.getLastRow() - 1, 1);
-  var values = dataRange.getValues();
+  var numRows = sheet.getLastRow() - startRowIndex + 1;
+  var values = numRows > 0 ? sheet.getRange(startRowIndex, columnIndex, numRows, 1).getValues() : [];
   var rowToEdit = -1;
   
   for (var i = 0; i < values.length; i++) {
     if (values[i][0] == valueToMatch) {
-      rowToEdit = i + 2; // Adjust for header row and zero-based index
+      rowToEdit = i + startRowIndex; // Adjust for the data start row and zero-based index
       break;
     }
   }
@@ -840,110 +1030,325 @@ function objectToRow(sheet, headerToMatch, valueToMatch, newRowData) {
 }
 
 /**
- * Upserts rows in a Google Sheet by matching on a particular column and:
+ * Upserts rows in a Google Sheet by matching on a particular column (or set of columns) and:
  *  - updating data if there is a match, or
  *  - inserting a new row if there is no match.
  *
+ * Pass an array of header names as columnToMatch to match on a composite key (e.g. ["Client ID", "Month"]).
+ * Objects with no key at all are inserted as new rows. Objects whose key is only partly filled are
+ * skipped, and both they and sheet rows with a partly filled key are reported in incompleteKeys.
+ *
+ * Matched rows are updated in memory and written back in contiguous row runs with a handful of
+ * setValues calls. Cells that are not part of the data, including formulas, are left intact.
+ *
+ * With pivot=true the sheet holds one record per column, like objectsToSheetV2 in pivot mode:
+ * headerRowIndex is the column with the property names, startRowIndex the first record column,
+ * columnToMatch names the property row(s) to match on, and new records are appended as columns.
+ * Row numbers in the summary are then column numbers.
+ *
  * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The Google Sheet object to process.
  * @param {Object[]} data - An array of objects to match with rows in the sheet.
- * @param {string} columnToMatch - The header name of the column to match on.
+ * @param {string|string[]} columnToMatch - The header name, or array of header names, to match on.
  * @param {number} [headerRowIndex=1] - The index of the header row (1-based).
+ * @param {number} [startRowIndex=headerRowIndex + 1] - The first row (1-based) that holds data. Rows in between
+ *                                                     (e.g. a description row) are ignored.
+ * @param {Object} [options] - Optional settings.
+ * @param {boolean} [options.pivot=false] - If true, records are columns and properties are rows.
+ * @param {Object} [options.headerMap] - Match headers ignoring case and whitespace, with aliases and strict
+ *                                       checking (see headerMap.js).
+ * @param {boolean} [options.dryRun=false] - If true, nothing is written; the summary describes the planned
+ *                                          upsert and also holds changes: [{ sheet, cell, row, column, header,
+ *                                          oldValue, newValue, formulaAffected, oldFormula, newFormula }].
+ * @param {boolean} [options.addMissingHeaders=false] - If true, keys with no header get a new header column first.
+ * @param {("end"|number|{after: string})} [options.headerPosition="end"] - Where new headers go (see ensureHeaders).
+ * @param {("warn"|"error"|"ignore")} [options.onDroppedKeys="warn"] - How keys with no header are reported
+ *                                                                   when addMissingHeaders is off.
+ * @param {string|{sheet: string, data: string}} [options.duplicatePolicy={ sheet: "last", data: "all" }] - What to do
+ *        when a key appears in several sheet rows or several data objects: "error" throws before anything is
+ *        written, "first" or "last" uses only that row (object), "all" updates every row sharing the key (merges
+ *        the objects sharing it in order, later values winning). One value applies to both sides.
+ * @param {Object} [options.stamps] - Write created/updated timestamps, the user and a content hash to the given
+ *                                    headers, and optionally leave unchanged rows alone (see changeStamps.js).
+ * @return {Object} - Summary of the upsert:
+ *         { updated: { count, rows }, inserted: { count, rows }, skipped: { count, records }, incompleteKeys,
+ *         addedHeaders, droppedKeys, duplicates, unchanged: { count, rows } }, where rows are sheet row numbers,
+ *         unchanged rows matched but were not written under stamps.skipUnchanged, skipped records are
+ *         { index, reason, key } for data objects that were not written, incompleteKeys lists sheet rows
+ *         ({ source: "sheet", row, key }) and data objects ({ source: "data", index, key }) whose key is only
+ *         partly filled, and duplicates lists { sheet: [{ key, rows }], data: [{ key, indices }] }.
  */
-function upsertRows(sheet, data, columnToMatch, headerRowIndex = 1) {
+function upsertRows(sheet, data, columnToMatch, headerRowIndex = 1, startRowIndex = headerRowIndex + 1, options = {}) {
+  const { dryRun = false, pivot = false } = options;
+
   // --- Step 0: Basic validation ---
-  if (!sheet || !Array.isArray(data) || typeof columnToMatch !== 'string') {
+  if (!sheet || !Array.isArray(data)) {
     throw new Error('Invalid parameters. Check that the inputs are valid.');
   }
+  toMatchColumns(columnToMatch);
+  validateSheetLayout(headerRowIndex, startRowIndex);
+  const duplicatePolicy = toDuplicatePolicy(options.duplicatePolicy, { sheet: 'last', data: 'all' });
   if (data.length === 0) {
     Logger.log('No data to upsert. Exiting function.');
-    return;
+    return buildUpsertSummary([], [], [], []);
+  }
+
+  // Dry run: upsert into an in-memory copy of the sheet and report what would change
+  if (dryRun) {
+    const preview = createPreviewSheet(sheet, pivot ? { headerColumn: headerRowIndex } : { headerRow: headerRowIndex });
+    const summary = upsertRows(preview, data, columnToMatch, headerRowIndex, startRowIndex, { ...options, dryRun: false });
+    return { ...summary, dryRun: true, changes: preview.getChanges() };
+  }
+
+  // Pivot: run the row-wise upsert on a transposed view of the sheet
+  if (pivot) {
+    return upsertRows(createTransposedSheet(sheet), data, columnToMatch, headerRowIndex, startRowIndex, { ...options, pivot: false });
   }
 
+  if (options.headerMap) {
+    ({ records: data, fieldNames: [columnToMatch] } = mapRecordsToHeaders(sheet, headerRowIndex, data, [columnToMatch], options));
+  }
+
+  // Adding headers writes to the sheet, so first check for duplicate keys the policy rejects, on a copy
+  // with the headers added, so that nothing is written when it throws
+  if (options.addMissingHeaders && (duplicatePolicy.sheet === 'error' || duplicatePolicy.data === 'error')) {
+    const preview = createPreviewSheet(sheet, { headerRow: headerRowIndex });
+    ensureHeaders(preview, withStampHeaders(data, options), headerRowIndex, options);
+    planUpsert(preview, data, columnToMatch, headerRowIndex, startRowIndex, duplicatePolicy);
+  }
+
+  // Add headers for new keys (or report the keys that will be dropped) before reading the sheet
+  const headerChanges = ensureHeaders(sheet, withStampHeaders(data, options), headerRowIndex, options);
+
+  // --- Steps 1 to 3: Match the data against the sheet ---
+  const plan = planUpsert(sheet, data, columnToMatch, headerRowIndex, startRowIndex, duplicatePolicy);
+  const unchangedRows = options.stamps
+    ? stampUpsertPlan(plan, createChangeStamper(options.stamps, plan.headers, sheet.getName()))
+    : [];
+
+  // --- Step 4: Perform updates for existing rows ---
+  const updatedRows = applyUpsertUpdates(sheet, plan);
+
+  // --- Step 5: Append new records where no match was found ---
+  const insertedRows = appendUpsertRecords(sheet, plan);
+
+  return {
+    ...buildUpsertSummary(updatedRows, insertedRows, plan.skippedRecords, plan.incompleteKeys),
+    addedHeaders: headerChanges.added,
+    droppedKeys: headerChanges.dropped,
+    duplicates: plan.duplicates,
+    unchanged: { count: unchangedRows.length, rows: unchangedRows }
+  };
+}
+
+/**
+ * Reads the sheet and works out which objects update an existing row and which are new, without writing.
+ *
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The Google Sheet object to process.
+ * @param {Object[]} data - An array of objects to match with rows in the sheet.
+ * @param {string|string[]} columnToMatch - The header name, or array of header names, to match on.
+ * @param {number} headerRowIndex - The index of the header row (1-based).
+ * @param {number} startRowIndex - The first row (1-based) that holds data.
+ * @param {{sheet: string, data: string}} [duplicatePolicy] - How duplicate keys are resolved (see toDuplicatePolicy).
+ *                                                          Defaults to updating the last of duplicate rows
+ *                                                          with all objects sharing the key, merged in order.
+ * @return {Object} - The plan: { headers, sheetData, startRowIndex, matchColumns, rowKeys, existingUpdates,
+ *                    newRecords, skippedRecords, incompleteKeys, duplicates }, where rowKeys holds the complete
+ *                    key of each row in sheetData (or null), existingUpdates holds { rowIndex, rowObject } and
+ *                    duplicates holds { sheet: [{ key, rows }], data: [{ key, indices }] }.
+ */
+function planUpsert(sheet, data, columnToMatch, headerRowIndex, startRowIndex, duplicatePolicy = { sheet: 'last', data: 'all' }) {
+  const matchColumns = toMatchColumns(columnToMatch);
+
   // --- Step 1: Retrieve headers and existing sheet data ---
-  const sheetData = sheet.getDataRange().getValues(); 
-  // If there's no data in the sheet, sheetData might be [[]]; handle that case
-  if (!sheetData || sheetData.length === 0) {
+  const headers = getHeaderRow(sheet, headerRowIndex);
+  const numRows = sheet.getLastRow() - startRowIndex + 1;
+  // sheetData[0] is the sheet row startRowIndex; it is empty when the sheet only has headers
+  const sheetData = numRows > 0 && headers.length > 0
+    ? sheet.getRange(startRowIndex, 1, numRows, headers.length).getValues()
+    : [];
+  if (sheetData.length === 0) {
     Logger.log('No data in the sheet; only headers or sheet is empty.');
   }
 
-  const headers = sheetData[0] || [];
-  const columnIndexToMatch = headers.indexOf(columnToMatch);
-  if (columnIndexToMatch === -1) {
-    throw new Error(`Column '${columnToMatch}' not found in sheet headers.`);
-  }
+  const matchIndices = matchColumns.map((column) => {
+    const index = headers.indexOf(column);
+    if (index === -1) {
+      throw new Error(`Column '${column}' not found in sheet headers.`);
+    }
+    return index;
+  });
 
   // Create a quick lookup for all rows in the sheet
-  // Map "value in match column" => row index
-  // row index is 1-based in the sheet, but 0-based in sheetData
+  // Map "key built from the match columns" => row indices (several when the key is duplicated)
+  // row index is 0-based in sheetData; the sheet row is startRowIndex + row index
   const existingRowsMap = new Map();
-  for (let i = 1; i < sheetData.length; i++) {
-    const rowVal = sheetData[i][columnIndexToMatch];
-    if (rowVal !== '') {
-      existingRowsMap.set(rowVal, i);
+  const rowKeys = [];
+  const incompleteKeys = [];
+  for (let i = 0; i < sheetData.length; i++) {
+    const matchKey = buildMatchKey(matchColumns, matchIndices.map((index) => sheetData[i][index]));
+    rowKeys.push(matchKey.complete ? matchKey.key : null);
+    if (matchKey.complete) {
+      if (!existingRowsMap.has(matchKey.key)) existingRowsMap.set(matchKey.key, { parts: matchKey.parts, rows: [] });
+      existingRowsMap.get(matchKey.key).rows.push(i);
+    } else if (!matchKey.empty) {
+      incompleteKeys.push({ source: 'sheet', row: startRowIndex + i, key: matchKey.parts });
     }
   }
 
-  // --- Step 2: Build column set from the sheet headers for easier reference ---
-  // We only update columns that exist in the sheet's headers
-  const headerSet = new Set(headers);
+  // Group the data objects by key, so duplicates can be reported and resolved
+  const dataKeys = data.map((rowObject) => buildMatchKey(matchColumns, matchColumns.map((column) => rowObject[column])));
+  const dataIndicesMap = new Map();
+  dataKeys.forEach((matchKey, index) => {
+    if (!matchKey.complete) return;
+    if (!dataIndicesMap.has(matchKey.key)) dataIndicesMap.set(matchKey.key, []);
+    dataIndicesMap.get(matchKey.key).push(index);
+  });
+
+  const duplicates = reportDuplicateKeys({
+    sheet: Array.from(existingRowsMap.values())
+      .filter(({ rows }) => rows.length > 1)
+      .map(({ parts, rows }) => ({ key: parts, rows: rows.map((i) => startRowIndex + i) })),
+    data: Array.from(dataIndicesMap.values())
+      .filter((indices) => indices.length > 1)
+      .map((indices) => ({ key: dataKeys[indices[0]].parts, indices }))
+  }, duplicatePolicy);
 
-  // --- Step 3: Split data into "existing to update" vs "new to append" ---
+  // --- Step 2: Split data into "existing to update" vs "new to append" ---
   const existingUpdates = []; // Will hold objects of form { rowIndex, rowObject }
   const newRecords = []; // Will hold rowObjects that need to be appended
-
-  data.forEach((rowObject) => {
-    // The value we want to match on
-    const matchValue = rowObject[columnToMatch];
-    // If there's no matchValue, we consider it a new record
-    if (!matchValue || !existingRowsMap.has(matchValue)) {
+  const skippedRecords = []; // Will hold { index, reason, key } for objects that are not written
+
+  data.forEach((rowObject, index) => {
+    // The key we want to match on
+    const matchKey = dataKeys[index];
+    if (!matchKey.complete && !matchKey.empty) {
+      // A partly filled key can neither be matched nor safely inserted
+      incompleteKeys.push({ source: 'data', index, key: matchKey.parts });
+      skippedRecords.push({ index, reason: 'Incomplete key', key: matchKey.parts });
+      return;
+    }
+    if (matchKey.empty) {
+      // If there's no key, we consider it a new record
       newRecords.push(rowObject);
+      return;
+    }
+
+    // Objects sharing a key are handled once, at the first of them, following the data policy
+    const indices = dataIndicesMap.get(matchKey.key);
+    if (indices[0] !== index) return;
+    const kept = pickDuplicatePositions(indices, duplicatePolicy.data);
+    indices.filter((i) => kept.indexOf(i) === -1).forEach((i) => {
+      skippedRecords.push({ index: i, reason: 'Duplicate key', key: matchKey.parts });
+    });
+    // Under "all" the objects are merged in order, so later values win
+    const record = kept.length === 1 ? data[kept[0]] : Object.assign({}, ...kept.map((i) => data[i]));
+
+    if (!existingRowsMap.has(matchKey.key)) {
+      newRecords.push(record);
     } else {
-      const rowIndex = existingRowsMap.get(matchValue);
-      existingUpdates.push({ rowIndex, rowObject });
+      pickDuplicatePositions(existingRowsMap.get(matchKey.key).rows, duplicatePolicy.sheet).forEach((rowIndex) => {
+        existingUpdates.push({ rowIndex, rowObject: record });
+      });
     }
   });
 
-  // --- Step 4: Perform updates for existing rows ---
-  // We update all columns that appear in both the rowObject and headers
-  if (existingUpdates.length > 0) {
-    // We'll do a column-by-column update to minimise overwriting any cells that are not part of the data
-    existingUpdates.forEach(({ rowIndex, rowObject }) => {
-      // rowIndex is the 0-based index in sheetData. The actual sheet row is rowIndex + 1
-      for (const [key, val] of Object.entries(rowObject)) {
-        if (headerSet.has(key)) {
-          const colIndex = headers.indexOf(key);
-          // Write the value to the sheet
-          sheet.getRange(rowIndex + 1, colIndex + 1).setValue(val);
-        }
-      }
-    });
-    Logger.log(`Updated ${existingUpdates.length} existing rows.`);
-  } else {
+  if (incompleteKeys.length > 0) {
+    Logger.log(`Warning: Skipped ${incompleteKeys.length} rows/objects with an incomplete key: ${JSON.stringify(incompleteKeys)}`);
+  }
+
+  return { headers, sheetData, startRowIndex, matchColumns, rowKeys, existingUpdates, newRecords, skippedRecords, incompleteKeys, duplicates };
+}
+
+/**
+ * Writes the updates of an upsert plan to the sheet.
+ * We update all columns that appear in both the rowObject and headers.
+ * Updates are applied to the in-memory copy of the sheet first and then only the changed cells are
+ * written back, in rectangles of adjacent rows and columns, so thousands of updates take few setValues calls.
+ *
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The sheet to write to.
+ * @param {Object} plan - The plan returned by planUpsert.
+ * @return {number[]} - The sheet row numbers that were updated.
+ */
+function applyUpsertUpdates(sheet, plan) {
+  const { headers, sheetData, startRowIndex, existingUpdates } = plan;
+  const headerSet = new Set(headers); // We only update columns that exist in the sheet's headers
+  const updatedRows = [];
+
+  if (existingUpdates.length === 0) {
     Logger.log('No existing rows matched for update.');
+    return updatedRows;
   }
 
-  // --- Step 5: Append new records where no match was found ---
-  if (newRecords.length > 0) {
-    // We find the last non-empty row by scanning from bottom if needed, 
-    // but a quick approach is to use the data in memory:
-    // (sheetData.length - 1) is the last content row (0-based for header),
-    // so the next row is sheetData.length + 1 if the sheet has at least 1 data row.
-    const lastNonEmptyRow = getLastNonEmptyRow(sheet);
-    const appendStartRow = lastNonEmptyRow + 1;
-
-    // Build a 2D array of values to insert
-    // For each record, create an array with values in the order of the sheet's headers
-    const rowsToAppend = newRecords.map((rowObject) =>
-      headers.map((header) => rowObject.hasOwnProperty(header) ? rowObject[header] : '')
-    );
-
-    // Insert them all at once
-    sheet
-      .getRange(appendStartRow, 1, rowsToAppend.length, headers.length)
-      .setValues(rowsToAppend);
-
-    Logger.log(`Appended ${newRecords.length} new records from row ${appendStartRow}.`);
-  } else {
+  const changedCells = new Map(); // rowIndex (0-based in sheetData) => Set of changed column indices
+
+  existingUpdates.forEach(({ rowIndex, rowObject }) => {
+    for (const [key, val] of Object.entries(rowObject)) {
+      if (headerSet.has(key)) {
+        const colIndex = headers.indexOf(key);
+        sheetData[rowIndex][colIndex] = val;
+        if (!changedCells.has(rowIndex)) changedCells.set(rowIndex, new Set());
+        changedCells.get(rowIndex).add(colIndex);
+      }
+    }
+    // rowIndex is the 0-based index in sheetData. The actual sheet row is startRowIndex + rowIndex
+    updatedRows.push(startRowIndex + rowIndex);
+  });
+
+  const writeCount = writeChangedRows(sheet, sheetData, changedCells, startRowIndex);
+  Logger.log(`Updated ${existingUpdates.length} existing rows in ${writeCount} batch writes.`);
+  return updatedRows;
+}
+
+/**
+ * Appends the new records of an upsert plan below the last non-empty row.
+ *
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The sheet to write to.
+ * @param {Object} plan - The plan returned by planUpsert.
+ * @return {number[]} - The sheet row numbers that were inserted.
+ */
+function appendUpsertRecords(sheet, plan) {
+  const { headers, startRowIndex, newRecords } = plan;
+  const insertedRows = [];
+
+  if (newRecords.length === 0) {
     Logger.log('No new rows to append.');
+    return insertedRows;
   }
+
+  // We find the last non-empty row by scanning from bottom,
+  // but never append above the data start row (e.g. into a description row)
+  const appendStartRow = getAppendRow(sheet, startRowIndex);
+
+  // Build a 2D array of values to insert
+  // For each record, create an array with values in the order of the sheet's headers
+  const rowsToAppend = newRecords.map((rowObject) =>
+    headers.map((header) => rowObject.hasOwnProperty(header) ? rowObject[header] : '')
+  );
+
+  // Insert them all at once
+  sheet
+    .getRange(appendStartRow, 1, rowsToAppend.length, headers.length)
+    .setValues(rowsToAppend);
+
+  rowsToAppend.forEach((row, index) => insertedRows.push(appendStartRow + index));
+  Logger.log(`Appended ${newRecords.length} new records from row ${appendStartRow}.`);
+  return insertedRows;
+}
+
+/**
+ * Builds the summary object returned by upsertRows and syncRows.
+ *
+ * @param {number[]} updatedRows - Sheet row numbers that were updated.
+ * @param {number[]} insertedRows - Sheet row numbers that were inserted.
+ * @param {Object[]} skippedRecords - Data objects that were not written, as { index, reason, key }.
+ * @param {Object[]} incompleteKeys - Sheet rows and data objects with a partly filled key.
+ * @return {Object} - { updated: { count, rows }, inserted: { count, rows }, skipped: { count, records }, incompleteKeys }
+ */
+function buildUpsertSummary(updatedRows, insertedRows, skippedRecords, incompleteKeys) {
+  return {
+    updated: { count: updatedRows.length, rows: updatedRows },
+    inserted: { count: insertedRows.length, rows: insertedRows },
+    skipped: { count: skippedRecords.length, records: skippedRecords },
+    incompleteKeys
+  };
 }
\ No newline at end of file
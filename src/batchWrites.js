@@ -0,0 +1,67 @@
+/**
+ * Groups row indices into runs of consecutive rows, so each run can be written with a single call.
+ *
+ * @param {number[]} rowIndices - Row indices in any order (duplicates are ignored).
+ * @return {{start: number, end: number}[]} - Inclusive runs, sorted from top to bottom.
+ */
+function getContiguousRuns(rowIndices) {
+  const sorted = Array.from(new Set(rowIndices)).sort((a, b) => a - b);
+  const runs = [];
+
+  sorted.forEach(index => {
+    const lastRun = runs[runs.length - 1];
+    if (lastRun && index === lastRun.end + 1) {
+      lastRun.end = index;
+    } else {
+      runs.push({ start: index, end: index });
+    }
+  });
+
+  return runs;
+}
+
+/**
+ * Merges a block of values with the formulas read from the same range. Cells holding a formula
+ * are replaced by the formula text, so writing the block back with setValues() keeps the formula.
+ *
+ * @param {Array<Array<*>>} values - 2D array of values, as returned by getValues().
+ * @param {Array<Array<string>>} formulas - 2D array of formulas for the same range, as returned by getFormulas().
+ * @return {Array<Array<*>>} - A new 2D array ready to be passed to setValues().
+ */
+function mergeValuesAndFormulas(values, formulas) {
+  return values.map((row, i) => row.map((value, j) => (formulas[i] && formulas[i][j]) ? formulas[i][j] : value));
+}
+
+/**
+ * Writes the changed cells of an in-memory copy of a sheet back in as few calls as possible.
+ * Only changed cells are written, so untouched cells (formulas, ARRAYFORMULA output, edits made
+ * since the read) are left alone. Consecutive rows with the same changed columns are written
+ * together, one rectangle per run of adjacent changed columns.
+ *
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The sheet to write to.
+ * @param {Array<Array<*>>} values - In-memory values, where values[0] is the sheet row firstRow.
+ * @param {Map<number, Set<number>>} changedCells - Map of row index (into values) to the set of changed column indices.
+ * @param {number} [firstRow=1] - The sheet row that values[0] corresponds to.
+ * @return {number} - The number of setValues calls made.
+ */
+function writeChangedRows(sheet, values, changedCells, firstRow = 1) {
+  const columnsKey = index => Array.from(changedCells.get(index)).sort((a, b) => a - b).join(",");
+  let writeCount = 0;
+
+  getContiguousRuns(Array.from(changedCells.keys())).forEach(({ start, end }) => {
+    // Split the row run where the set of changed columns differs
+    let groupStart = start;
+    for (let i = start; i <= end; i++) {
+      if (i < end && columnsKey(i + 1) === columnsKey(groupStart)) continue;
+
+      getContiguousRuns(Array.from(changedCells.get(groupStart))).forEach(({ start: minCol, end: maxCol }) => {
+        const block = values.slice(groupStart, i + 1).map(row => row.slice(minCol, maxCol + 1));
+        sheet.getRange(firstRow + groupStart, minCol + 1, block.length, block[0].length).setValues(block);
+        writeCount++;
+      });
+      groupStart = i + 1;
+    }
+  });
+
+  return writeCount;
+}
@@ -0,0 +1,154 @@
+/**
+ * Change stamps shared by addRowsToSheet, upsertRows and findAndUpdateRows (options.stamps), for an
+ * audit trail of when scripts wrote each row.
+ *
+ * A stamps option is an object naming the header of each stamp to write; leave one out to skip it:
+ *   - createdAt: the time the row was added. Never changed by later updates.
+ *   - updatedAt: the time the row was last added or updated.
+ *   - user: the email of the effective user, written with updatedAt.
+ *   - hash: an MD5 hash of the row content, i.e. every column except the stamp columns (or hashFields).
+ *   - format (default "yyyy-MM-dd HH:mm:ss"): format of the timestamps, in the script time zone set in
+ *     appsscript.json. Use null to write Date objects instead.
+ *   - hashFields: the headers the hash covers, if not all of them.
+ *   - skipUnchanged (default false, needs hash): rows whose new content hashes to the hash stored in the
+ *     row are left alone, stamps included, so unchanged rows do not churn the edit history.
+ *
+ * The stamp headers must exist in the sheet, unless addMissingHeaders is set, in which case they are added.
+ *
+ * Example:
+ *   upsertRows(sheet, records, "Id", 1, 2, {
+ *     stamps: { createdAt: "Created", updatedAt: "Updated", user: "Updated By", hash: "Hash", skipUnchanged: true }
+ *   });
+ */
+
+/**
+ * Prepares the stamps of one write: validates the option, checks the headers and fixes the time and user.
+ *
+ * @param {Object} stamps - The stamps option (see above).
+ * @param {Array} headers - The sheet headers.
+ * @param {string} sheetName - The sheet name, for error messages.
+ * @return {{headers: string[], stamp: Function}} - The stamp headers, and stamp(row, previousRow) which takes the
+ *         row values after the write and before it (null for a new row), and returns the stamps to write as
+ *         { header: value }, or null if the row is unchanged and skipUnchanged is set.
+ */
+function createChangeStamper(stamps, headers, sheetName) {
+  const { createdAt = null, updatedAt = null, user = null, hash = null, format = "yyyy-MM-dd HH:mm:ss", hashFields = null, skipUnchanged = false } = stamps;
+
+  const stampHeaders = getStampHeaders(stamps);
+  if (stampHeaders.length === 0) {
+    throw new Error("Invalid stamps. Name at least one of createdAt, updatedAt, user or hash.");
+  }
+  if (skipUnchanged && !hash) {
+    throw new Error("stamps.skipUnchanged needs a hash header to compare rows.");
+  }
+
+  const hashHeaders = hashFields || headers.filter(header => header !== "" && stampHeaders.indexOf(header) === -1);
+  const missing = stampHeaders.concat(hashHeaders).filter((header, index, all) => all.indexOf(header) === index && headers.indexOf(header) === -1);
+  if (missing.length > 0) {
+    throw new Error(`Stamp headers missing from sheet '${sheetName}': ${missing.join(", ")}`);
+  }
+
+  const now = new Date();
+  const timeZone = Session.getScriptTimeZone();
+  const timestamp = format === null ? now : Utilities.formatDate(now, timeZone, format);
+  const email = user ? Session.getEffectiveUser().getEmail() : null;
+  const hashIndices = hashHeaders.map(header => headers.indexOf(header));
+  const storedHashIndex = hash ? headers.indexOf(hash) : -1;
+
+  return {
+    headers: stampHeaders,
+    stamp(row, previousRow) {
+      const rowHash = hash ? computeRowHash(hashIndices.map(index => row[index]), timeZone) : null;
+      if (skipUnchanged && previousRow && previousRow[storedHashIndex] === rowHash) return null;
+
+      const result = {};
+      if (createdAt && !previousRow) result[createdAt] = timestamp;
+      if (updatedAt) result[updatedAt] = timestamp;
+      if (user) result[user] = email;
+      if (hash) result[hash] = rowHash;
+      return result;
+    }
+  };
+}
+
+/**
+ * Stamps the updates and new records of an upsert plan (see planUpsert), dropping the updates that
+ * would not change their row when skipUnchanged is set.
+ *
+ * @param {Object} plan - The plan returned by planUpsert. Its existingUpdates and newRecords are replaced.
+ * @param {{stamp: Function}} stamper - The stamper returned by createChangeStamper.
+ * @return {number[]} - The sheet row numbers left alone because their content did not change.
+ */
+function stampUpsertPlan(plan, stamper) {
+  const { headers, sheetData, startRowIndex } = plan;
+  const unchangedRows = [];
+
+  plan.existingUpdates = plan.existingUpdates.filter(update => {
+    const row = sheetData[update.rowIndex].slice();
+    Object.keys(update.rowObject).forEach(key => {
+      const index = headers.indexOf(key);
+      if (index !== -1) row[index] = update.rowObject[key];
+    });
+
+    const stamps = stamper.stamp(row, sheetData[update.rowIndex]);
+    if (stamps === null) {
+      unchangedRows.push(startRowIndex + update.rowIndex);
+      return false;
+    }
+    update.rowObject = { ...update.rowObject, ...stamps };
+    return true;
+  });
+
+  plan.newRecords = plan.newRecords.map(record => {
+    const row = headers.map(header => record.hasOwnProperty(header) ? record[header] : "");
+    return { ...record, ...stamper.stamp(row, null) };
+  });
+
+  if (unchangedRows.length > 0) {
+    Logger.log(`Skipped ${unchangedRows.length} unchanged rows.`);
+  }
+  return unchangedRows;
+}
+
+/**
+ * Adds the stamp headers to the records passed to ensureHeaders when addMissingHeaders is set, so the
+ * stamp columns are created along with the other missing headers.
+ *
+ * @param {Object[]} records - The objects about to be written.
+ * @param {Object} options - The options of the write function (stamps and addMissingHeaders are used).
+ * @return {Object[]} - The records, plus one object holding the stamp headers if they may be added.
+ */
+function withStampHeaders(records, options) {
+  if (!options.stamps || !options.addMissingHeaders) return records;
+  const placeholder = {};
+  getStampHeaders(options.stamps).forEach(header => {
+    placeholder[header] = "";
+  });
+  return records.concat([placeholder]);
+}
+
+/** The headers named in a stamps option **/
+function getStampHeaders(stamps) {
+  return [stamps.createdAt, stamps.updatedAt, stamps.user, stamps.hash].filter(header => typeof header === "string" && header !== "");
+}
+
+/**
+ * Hashes row values as text, so a value read back from the sheet hashes like the value written.
+ * Date cells read back as Date objects, so dates are hashed as the text they are usually written as:
+ * "yyyy-MM-dd" at midnight and "yyyy-MM-dd HH:mm:ss" otherwise, in the time zone.
+ *
+ * @param {Array} values - The values to hash.
+ * @param {string} [timeZone] - The time zone for dates. Defaults to the script time zone (appsscript.json).
+ * @return {string} - The MD5 hash as 32 hexadecimal characters.
+ */
+function computeRowHash(values, timeZone = Session.getScriptTimeZone()) {
+  const text = JSON.stringify(values.map(value => {
+    if (Object.prototype.toString.call(value) === "[object Date]") {
+      const dateText = Utilities.formatDate(value, timeZone, "yyyy-MM-dd HH:mm:ss");
+      return / 00:00:00$/.test(dateText) ? dateText.slice(0, 10) : dateText;
+    }
+    return value === null || value === undefined ? "" : String(value);
+  }));
+  const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.MD5, text, Utilities.Charset.UTF_8);
+  return digest.map(byte => ((byte + 256) % 256).toString(16).padStart(2, "0")).join("");
+}
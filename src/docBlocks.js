@@ -0,0 +1,163 @@
+/**
+ * Conditional sections and repeating blocks for Google Docs templates, rendered by
+ * populatePlaceholdersInDocument before the placeholders are filled.
+ *
+ * Each block tag sits on a paragraph of its own, and the paragraphs (or list items and tables) between the
+ * tags form the block:
+ *   {{#if hasDiscount}}   the block is kept if the value is truthy (a non-empty array counts as true)
+ *   {{else}}              optional, the part kept otherwise
+ *   {{/if}}
+ *   {{#each participants}} the block is repeated for each item of the array, with the item's fields
+ *   {{/each}}              (or {{this}} for plain values) and {{@index}} (from 0) available to its placeholders
+ *
+ * Blocks nest, and work inside table cells. Repeated and kept elements are copies of the template elements,
+ * so their formatting is preserved. The tag paragraphs are removed.
+ */
+
+/**
+ * Renders the block tags among the children of a container.
+ *
+ * @param {Element} container - A body, header, footer or footnote section, or a table cell.
+ * @param {Object} data - The values for conditions, lists and (inside each blocks) placeholders.
+ * @param {Object} [options] - Filter defaults, see resolvePlaceholder.
+ * @param {number} [start=0] - The first child to render.
+ * @param {number} [end] - The child after the last one to render. Defaults to the number of children.
+ * @return {number} - The child after the last rendered one, once blocks have been expanded or removed.
+ */
+function renderBlocksInElement(container, data, options = {}, start = 0, end = container.getNumChildren()) {
+  let i = start;
+  while (i < end) {
+    const child = container.getChild(i);
+    const tag = parseBlockTag(child);
+
+    if (!tag) {
+      if (child.getType() === DocumentApp.ElementType.TABLE) {
+        const table = child.asTable();
+        for (let r = 0; r < table.getNumRows(); r++) {
+          for (let c = 0; c < table.getRow(r).getNumCells(); c++) {
+            renderBlocksInElement(table.getRow(r).getCell(c), data, options);
+          }
+        }
+      }
+      i++;
+      continue;
+    }
+    if (tag.kind !== "open") {
+      throw new Error(`Template tag '${tag.text}' has no matching opening tag.`);
+    }
+
+    // Find the matching {{else}} and closing tag, skipping nested blocks
+    let depth = 0;
+    let elseIndex = -1;
+    let closeIndex = -1;
+    for (let j = i + 1; j < end && closeIndex === -1; j++) {
+      const inner = parseBlockTag(container.getChild(j));
+      if (!inner) continue;
+      if (inner.kind === "open") {
+        depth++;
+      } else if (inner.kind === "close" && depth > 0) {
+        depth--;
+      } else if (inner.kind === "close") {
+        if (inner.name !== tag.name) {
+          throw new Error(`Template tag '${tag.text}' is closed by '${inner.text}'.`);
+        }
+        closeIndex = j;
+      } else if (depth === 0 && tag.name === "if" && elseIndex === -1) {
+        elseIndex = j;
+      }
+    }
+    if (closeIndex === -1) {
+      throw new Error(`Template tag '${tag.text}' has no matching {{/${tag.name}}}.`);
+    }
+
+    const before = container.getNumChildren();
+    const value = resolvePlaceholder(tag.key, data, options);
+
+    if (tag.name === "if") {
+      // Keep one branch and remove the tags and the other branch, bottom-up so indices stay valid
+      const truthy = Array.isArray(value) ? value.length > 0 : !!value;
+      const keepFrom = truthy ? i + 1 : elseIndex + 1;
+      const keepTo = truthy ? (elseIndex === -1 ? closeIndex : elseIndex) : (elseIndex === -1 ? i : closeIndex);
+      for (let j = closeIndex; j >= i; j--) {
+        if (j < keepFrom || j >= keepTo) removeBlockElement(container.getChild(j));
+      }
+      end += container.getNumChildren() - before;
+      continue; // The kept branch now starts at i and may hold nested blocks
+    }
+
+    // each: copy the template elements once per item, then render and fill each copy with the item's data
+    if (value !== null && value !== undefined && value !== "" && !Array.isArray(value)) {
+      throw new Error(`Template tag '${tag.text}' needs an array, got '${value}'.`);
+    }
+    const templates = [];
+    for (let j = i + 1; j < closeIndex; j++) templates.push(container.getChild(j).copy());
+    for (let j = closeIndex; j >= i; j--) removeBlockElement(container.getChild(j));
+
+    let position = i;
+    (value || []).forEach((item, index) => {
+      const isObject = item !== null && typeof item === "object" && Object.prototype.toString.call(item) !== "[object Date]";
+      const itemData = { ...data, ...(isObject ? item : {}), this: item, "@index": index };
+      templates.forEach((template, k) => insertBlockElement(container, position + k, template.copy()));
+
+      const itemEnd = renderBlocksInElement(container, itemData, options, position, position + templates.length);
+      for (let k = position; k < itemEnd; k++) {
+        fillPlaceholdersInElement(container.getChild(k), content => resolvePlaceholder(content, itemData, options));
+      }
+      position = itemEnd;
+    });
+
+    end += container.getNumChildren() - before;
+    i = position;
+  }
+  return end;
+}
+
+/**
+ * Reads a block tag from an element.
+ *
+ * @param {Element} element - A child of a container.
+ * @return {{kind: string, name: string, key: string, text: string}|null} - The tag ("open", "else" or "close"),
+ *         or null if the element is not a tag paragraph.
+ */
+function parseBlockTag(element) {
+  const type = element.getType();
+  if (type !== DocumentApp.ElementType.PARAGRAPH && type !== DocumentApp.ElementType.LIST_ITEM) return null;
+
+  const text = element.asText().getText().trim();
+  const open = text.match(/^\{\{\s*#(if|each)\s+([^{}]+?)\s*\}\}$/);
+  if (open) return { kind: "open", name: open[1], key: open[2], text };
+  if (/^\{\{\s*else\s*\}\}$/.test(text)) return { kind: "else", name: "if", key: "", text };
+  const close = text.match(/^\{\{\s*\/(if|each)\s*\}\}$/);
+  if (close) return { kind: "close", name: close[1], key: "", text };
+
+  if (/\{\{\s*(#(if|each)\s|else\s*\}\}|\/(if|each)\s*\}\})/.test(text)) {
+    throw new Error(`Template tags must be on a paragraph of their own: '${text}'.`);
+  }
+  return null;
+}
+
+/** Inserts a copied paragraph, list item or table into a container at the given child index **/
+function insertBlockElement(container, index, element) {
+  switch (element.getType()) {
+    case DocumentApp.ElementType.PARAGRAPH:
+      return container.insertParagraph(index, element.asParagraph());
+    case DocumentApp.ElementType.LIST_ITEM:
+      return container.insertListItem(index, element.asListItem());
+    case DocumentApp.ElementType.TABLE:
+      return container.insertTable(index, element.asTable());
+    default:
+      throw new Error(`Template blocks can only repeat paragraphs, list items and tables, not ${element.getType()}.`);
+  }
+}
+
+/**
+ * Removes an element of a block. A section must keep its last paragraph, so that one is emptied instead.
+ */
+function removeBlockElement(element) {
+  const parent = element.getParent();
+  if (parent.getChildIndex(element) === parent.getNumChildren() - 1 && element.getType() === DocumentApp.ElementType.PARAGRAPH) {
+    element.asParagraph().setText("");
+    return;
+  }
+  element.removeFromParent();
+}
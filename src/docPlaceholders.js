@@ -0,0 +1,212 @@
+/**
+ * Placeholder handling for Google Docs templates, shared by populatePlaceholdersInDocument and the
+ * table and block helpers. A placeholder is a token wrapped in double curly braces, e.g. "{{name}}".
+ *
+ * Placeholders are matched as whole tokens, so filling "{{name}}" never touches "{{username}}" or a bare
+ * "name" in the text. Tokens are replaced with Element.replaceText, with the token escaped as a regular
+ * expression and the value escaped as a replacement, so keys and values may hold any character ("$", "\", ".").
+ *
+ * A placeholder may pipe its value through filters, applied left to right, e.g. "{{amount|currency}}",
+ * "{{date|dd.MM.yyyy}}" or "{{note|default:n/a|truncate:40}}". Arguments follow the filter name after ":".
+ *   - date[:format]: formats a date (or date text) in the time zone, default format "yyyy-MM-dd". A bare
+ *     date format such as "dd.MM.yyyy" or "d MMM yyyy HH:mm" works as a filter on its own.
+ *   - currency[:code[:locale]]: formats a number as an amount, e.g. currency:EUR:de-DE gives "1.234,50 €".
+ *   - number[:decimals[:locale]]: formats a number with grouping and, if given, a fixed number of decimals.
+ *   - upper, lower, title: changes the case (title capitalises each word).
+ *   - default:text: the text to use when the value is missing or empty.
+ *   - truncate:length[:suffix]: cuts text longer than length characters and adds the suffix (default "…").
+ * Filters other than default leave missing and empty values alone. An unknown filter throws an error.
+ */
+
+/**
+ * Fills the placeholders inside one document element.
+ *
+ * @param {Element} element - Any element with findText and replaceText: a body, header, footer or footnote
+ *                            section, a table, a table cell, a paragraph or a text element.
+ * @param {Function} resolve - Called with the placeholder content (the text between the braces, trimmed).
+ *                             Returns the text to insert, or null/undefined to leave the placeholder as it is.
+ * @return {{filled: string[], missing: string[]}} - The distinct placeholder contents that were filled, and
+ *         the keys of those that were left because resolve returned nothing (without filters, so
+ *         "{{due|dd.MM.yyyy}}" is reported as "due").
+ */
+function fillPlaceholdersInElement(element, resolve) {
+  const filled = [];
+  const missing = [];
+
+  // Collect the distinct tokens first, as replacing while searching would move the search position
+  findPlaceholders(element).forEach(token => {
+    const content = token.slice(2, -2).trim();
+    const value = resolve(content);
+    if (value === null || value === undefined) {
+      const key = content.split("|")[0].trim();
+      if (missing.indexOf(key) === -1) missing.push(key);
+      return;
+    }
+    element.replaceText(escapeRegExp(token), escapeReplacement(String(value)));
+    if (filled.indexOf(content) === -1) filled.push(content);
+  });
+
+  return { filled, missing };
+}
+
+/**
+ * Lists the distinct placeholder tokens in an element, braces included, in document order.
+ *
+ * @param {Element} element - Any element with findText (see fillPlaceholdersInElement).
+ * @return {string[]} - The tokens, e.g. ["{{name}}", "{{ date }}"].
+ */
+function findPlaceholders(element) {
+  const tokens = [];
+  let found = element.findText("\\{\\{[^{}]+\\}\\}");
+  while (found) {
+    const token = found.getElement().asText().getText().substring(found.getStartOffset(), found.getEndOffsetInclusive() + 1);
+    if (tokens.indexOf(token) === -1) tokens.push(token);
+    found = element.findText("\\{\\{[^{}]+\\}\\}", found);
+  }
+  return tokens;
+}
+
+/**
+ * The parts of a document that can hold placeholders: the body, every header and footer section and
+ * the contents of every footnote.
+ *
+ * getHeader() and getFooter() only return the default header and footer, so the sections are read from
+ * the document element instead, which also holds the first-page and even-page headers and footers.
+ *
+ * @param {Document} doc - The open document.
+ * @return {Element[]} - The sections, body first.
+ */
+function getDocumentSections(doc) {
+  const body = doc.getBody();
+  const sections = [body];
+  const root = body.getParent();
+  for (let i = 0; i < root.getNumChildren(); i++) {
+    const child = root.getChild(i);
+    if (child.getType() === DocumentApp.ElementType.HEADER_SECTION) sections.push(child.asHeaderSection());
+    if (child.getType() === DocumentApp.ElementType.FOOTER_SECTION) sections.push(child.asFooterSection());
+  }
+  doc.getFootnotes().forEach(footnote => sections.push(footnote.getFootnoteContents()));
+  return sections;
+}
+
+/**
+ * Strips the braces from data keys written as placeholders, e.g. "{{name}}" becomes "name", so data
+ * objects made for the old substring replacement keep working. Logs a warning for each braced key.
+ *
+ * @param {Object} data - The values by key.
+ * @return {Object} - The values by key without braces. The data object itself is not changed.
+ */
+function stripPlaceholderBraces(data) {
+  const result = {};
+  Object.keys(data).forEach(key => {
+    const match = key.match(/^\{\{\s*([^{}]*?)\s*\}\}$/);
+    if (!match) {
+      result[key] = data[key];
+      return;
+    }
+    Logger.log(`Warning: Placeholder key '${key}' should be written without braces, as '${match[1]}'.`);
+    if (!data.hasOwnProperty(match[1])) result[match[1]] = data[key];
+  });
+  return result;
+}
+
+/** Escapes text so replaceText and findText match it literally **/
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/** Escapes text so replaceText inserts it literally ("$" and "\" are special in replacements) **/
+function escapeReplacement(text) {
+  return text.replace(/[\\$]/g, "\\$&");
+}
+
+/**
+ * Resolves placeholder content, such as "amount" or "amount|currency:EUR", against a data object.
+ *
+ * @param {string} content - The placeholder content, without braces.
+ * @param {Object} data - The values by key. A key holding "|" is looked up as is before filters are parsed.
+ * @param {Object} [options] - Defaults for the filters.
+ * @param {string} [options.locale="en-US"] - Locale for currency and number.
+ * @param {string} [options.currency="USD"] - Currency code for currency.
+ * @param {string} [options.timeZone] - Time zone for dates. Defaults to the script time zone (appsscript.json).
+ * @return {*} - The value to insert, or undefined if the key has no value and no default filter supplies one.
+ */
+function resolvePlaceholder(content, data, options = {}) {
+  if (data.hasOwnProperty(content)) return data[content];
+
+  const [key, ...filters] = content.split("|").map(part => part.trim());
+  return filters.reduce((value, filter) => applyPlaceholderFilter(value, filter, options),
+    data.hasOwnProperty(key) ? data[key] : undefined);
+}
+
+/**
+ * Applies one placeholder filter (see above) to a value.
+ *
+ * @param {*} value - The value so far.
+ * @param {string} filter - The filter with its arguments, e.g. "currency:EUR" or "dd.MM.yyyy".
+ * @param {Object} [options] - Defaults for the filters, see resolvePlaceholder.
+ * @return {*} - The filtered value.
+ */
+function applyPlaceholderFilter(value, filter, options = {}) {
+  const { locale = "en-US", currency = "USD", timeZone = null } = options;
+  const separator = filter.indexOf(":");
+  const name = separator === -1 ? filter : filter.slice(0, separator);
+  const argument = separator === -1 ? "" : filter.slice(separator + 1);
+  const args = argument === "" ? [] : argument.split(":");
+
+  const known = ["date", "currency", "number", "upper", "lower", "title", "default", "truncate"];
+  const isDateFormat = known.indexOf(name) === -1 && /^[GyYMLwWdDFEuaHkKhmsSzZX'.,\/\- :]+$/.test(filter) && /[yMdHhms]/.test(filter);
+  if (known.indexOf(name) === -1 && !isDateFormat) {
+    throw new Error(`Unknown placeholder filter '${name}'. Use ${known.join(", ")} or a date format such as dd.MM.yyyy.`);
+  }
+
+  const isEmpty = value === null || value === undefined || value === "";
+  if (name === "default") return isEmpty ? argument : value;
+  if (isEmpty) return value;
+
+  // Helper: The value as a number, for currency and number.
+  function toNumber() {
+    const number = typeof value === "number" ? value : Number(String(value).trim());
+    if (isNaN(number)) {
+      throw new Error(`Placeholder filter '${name}' needs a number, got '${value}'.`);
+    }
+    return number;
+  }
+
+  // Helper: The value formatted as a date.
+  function formatAsDate(format) {
+    const date = Object.prototype.toString.call(value) === "[object Date]" ? value : new Date(value);
+    if (isNaN(date.getTime())) {
+      throw new Error(`Placeholder filter '${filter}' needs a date, got '${value}'.`);
+    }
+    return Utilities.formatDate(date, timeZone || Session.getScriptTimeZone(), format);
+  }
+
+  switch (name) {
+    case "date":
+      return formatAsDate(argument || "yyyy-MM-dd");
+    case "currency":
+      return new Intl.NumberFormat(args[1] || locale, { style: "currency", currency: args[0] || currency }).format(toNumber());
+    case "number": {
+      const decimals = args[0] !== undefined && args[0] !== "" ? Number(args[0]) : null;
+      const digits = decimals === null ? {} : { minimumFractionDigits: decimals, maximumFractionDigits: decimals };
+      return new Intl.NumberFormat(args[1] || locale, digits).format(toNumber());
+    }
+    case "upper":
+      return String(value).toUpperCase();
+    case "lower":
+      return String(value).toLowerCase();
+    case "title":
+      return String(value).toLowerCase().replace(/(^|\s)\S/g, letter => letter.toUpperCase());
+    case "truncate": {
+      const length = Number(args[0]);
+      if (!Number.isInteger(length) || length < 0) {
+        throw new Error(`Placeholder filter 'truncate' needs a length, e.g. truncate:40.`);
+      }
+      const text = String(value);
+      return text.length <= length ? text : text.slice(0, length) + (args.length > 1 ? args.slice(1).join(":") : "…");
+    }
+    default:
+      return formatAsDate(filter);
+  }
+}
@@ -0,0 +1,104 @@
+/**
+ * Reads a sheet in windows of rows and passes each window to a callback as objects, for sheets
+ * too large to read in one go with sheetToObjectsV2. Rows are converted as by sheetToObjectsV2 and
+ * empty rows are skipped; display values are only fetched for columns that hold dates in the window.
+ *
+ * The offset counts the rows already read below startIndex. Save the offset of the last chunk
+ * (e.g. in PropertiesService) and pass it back as options.offset to continue in a later execution.
+ *
+ * @param {Sheet} sheet - The Google Sheet to process.
+ * @param {number} chunkSize - The number of rows to read per window.
+ * @param {Function} callback - Called as callback(objects, chunk) for each window, where chunk is
+ *                              { startRow, endRow, offset, rows, errors }: the sheet rows read, the offset
+ *                              to resume from after this window, the sheet row of each object, and any
+ *                              schema errors as { row, header, value, message }. Return false to stop.
+ * @param {Object} [options] - Optional settings.
+ * @param {number} [options.headerIndex=1] - The row containing headers.
+ * @param {number} [options.startIndex=3] - The row where data starts.
+ * @param {number} [options.offset=0] - The number of data rows to skip, e.g. the offset saved by a previous run.
+ * @param {string|null} [options.lastColumn=null] - Last column to process, e.g., "Z".
+ * @param {boolean} [options.useDisplayDates=true] - Replace date objects with displayed text.
+ * @param {boolean} [options.keepNull=false] - If true, include empty cells as null values in the result objects.
+ * @param {boolean} [options.keepEmpty=false] - If true, include empty cells as empty strings in the result objects.
+ * @param {Object|null} [options.schema=null] - Coerce and validate each column, see sheetToObjectsV2.
+ * @return {{offset: number, done: boolean, chunks: number, rowsRead: number}} - Where reading stopped,
+ *         whether the end of the sheet was reached, and how many windows and rows were read in this call.
+ */
+function forEachSheetChunk(sheet, chunkSize, callback, options = {}) {
+  const {
+    headerIndex = 1,
+    startIndex = 3,
+    offset = 0,
+    lastColumn = null,
+    useDisplayDates = true,
+    keepNull = false,
+    keepEmpty = false,
+    schema = null
+  } = options;
+
+  if (!sheet || !Number.isInteger(chunkSize) || chunkSize < 1 || typeof callback !== "function") {
+    throw new Error("Invalid parameters. Check that the inputs are valid.");
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new Error(`Invalid offset '${offset}'. Use a number of rows from 0.`);
+  }
+  validateSheetLayout(headerIndex, startIndex);
+
+  const lastColumnIndex = lastColumn ? columnNameToIndex(lastColumn) : sheet.getLastColumn();
+  const headers = lastColumnIndex > 0 ? sheet.getRange(headerIndex, 1, 1, lastColumnIndex).getValues()[0] : [];
+  const fields = schema ? normaliseSchema(schema) : null;
+  const missingFields = fields ? Object.keys(fields).filter(header => headers.indexOf(header) === -1) : [];
+  const rowSettings = { fields, missingFields, useDisplayDates, keepNull, keepEmpty };
+  const lastRow = sheet.getLastRow();
+
+  // Helper: Display values for the columns of a window that hold dates, undefined elsewhere.
+  function getDateDisplayValues(firstRow, values) {
+    const dateColumns = headers
+      .map((header, j) => j)
+      .filter(j => values.some(row => Object.prototype.toString.call(row[j]) === "[object Date]"));
+    const displayValues = values.map(() => new Array(headers.length));
+
+    getContiguousRuns(dateColumns).forEach(({ start, end }) => {
+      const block = sheet.getRange(firstRow, start + 1, values.length, end - start + 1).getDisplayValues();
+      block.forEach((row, i) => row.forEach((text, j) => {
+        displayValues[i][start + j] = text;
+      }));
+    });
+    return displayValues;
+  }
+
+  let nextOffset = offset;
+  let chunks = 0;
+  let rowsRead = 0;
+  let stopped = false;
+
+  while (!stopped && headers.length > 0 && startIndex + nextOffset <= lastRow) {
+    const firstRow = startIndex + nextOffset;
+    const numRows = Math.min(chunkSize, lastRow - firstRow + 1);
+    const values = sheet.getRange(firstRow, 1, numRows, headers.length).getValues();
+    const displayValues = useDisplayDates ? getDateDisplayValues(firstRow, values) : null;
+
+    const objects = [];
+    const rows = [];
+    const errors = [];
+    values.forEach((row, i) => {
+      if (!row.some(cell => cell !== "")) return; // skip empty rows
+      const rowNumber = firstRow + i;
+      objects.push(rowToObject(row, headers, displayValues ? displayValues[i] : null, rowSettings, (header, value, message) => {
+        errors.push({ row: rowNumber, header, value, message });
+      }));
+      rows.push(rowNumber);
+    });
+
+    nextOffset += numRows;
+    rowsRead += numRows;
+    chunks++;
+
+    const result = callback(objects, { startRow: firstRow, endRow: firstRow + numRows - 1, offset: nextOffset, rows, errors });
+    if (result === false) stopped = true;
+  }
+
+  const done = startIndex + nextOffset > lastRow;
+  Logger.log(`Read ${rowsRead} rows of '${sheet.getName()}' in ${chunks} chunks${done ? "" : `, stopped at offset ${nextOffset}`}.`);
+  return { offset: nextOffset, done, chunks, rowsRead };
+}
@@ -0,0 +1,171 @@
+/**
+ * Header mapping shared by sheetToObjectsV2, objectsToSheetV2, upsertRows, findAndUpdateRows and
+ * addRowsToSheet (options.headerMap), so scripts survive headers with stray spaces, different case
+ * or a renamed column.
+ *
+ * A headerMap is an object with:
+ *   - normalise (default true): match headers ignoring case and repeated or surrounding whitespace.
+ *     A camelCase key also matches its header, so objects read with keys: "camelCase" can be written back.
+ *   - aliases: map of key to the other header names it may appear under, e.g. { Email: ["E-mail", "Mail"] }.
+ *     Every key listed here must be found in the sheet, or an error lists the ones that were not. Writes only
+ *     check the keys the objects carry, and leave them to addMissingHeaders when that is set.
+ *   - keys (reads only): "header" (default) to key objects by header, or "camelCase" for keys like "firstName".
+ *     Aliased headers are always keyed by their alias key.
+ *   - strict (writes only, default false): if true, every object key must match a header (unless
+ *     addMissingHeaders is set) and an error lists the ones that do not.
+ */
+
+/**
+ * Normalises a header for comparison: text, trimmed, inner whitespace collapsed, lower case.
+ *
+ * @param {*} header - The header or key.
+ * @return {string} - The normalised form.
+ */
+function normaliseHeader(header) {
+  return String(header).trim().replace(/\s+/g, " ").toLowerCase();
+}
+
+/**
+ * Turns a header into a camelCase key, e.g. "First Name" => "firstName", "E-mail address" => "eMailAddress".
+ *
+ * @param {*} header - The header.
+ * @return {string} - The camelCase key.
+ */
+function toCamelCase(header) {
+  const words = String(header).trim().split(/[^A-Za-z0-9]+/).filter(word => word !== "");
+  return words.map((word, index) => {
+    const lower = word.toLowerCase();
+    return index === 0 ? lower : lower.charAt(0).toUpperCase() + lower.slice(1);
+  }).join("");
+}
+
+/**
+ * Finds the column of a key in a list of headers, using the header map.
+ *
+ * @param {Array} headers - The sheet headers.
+ * @param {string} key - The object key to look for.
+ * @param {Object} headerMap - The header map (see above).
+ * @return {number} - The 0-based index of the header, or -1 if there is none.
+ */
+function findHeaderIndex(headers, key, headerMap) {
+  const { normalise = true, aliases = {} } = headerMap;
+  const aliasKey = aliases.hasOwnProperty(key) ? key
+    : normalise ? Object.keys(aliases).find(name => normaliseHeader(name) === normaliseHeader(key)) : undefined;
+  const candidates = [key].concat(aliasKey !== undefined ? aliases[aliasKey] : []);
+
+  for (const candidate of candidates) {
+    const exact = headers.indexOf(candidate);
+    if (exact !== -1) return exact;
+  }
+  if (!normalise) return -1;
+
+  for (const candidate of candidates) {
+    const wanted = normaliseHeader(candidate);
+    const index = headers.findIndex(header => header !== "" && (normaliseHeader(header) === wanted || toCamelCase(header) === candidate));
+    if (index !== -1) return index;
+  }
+  return -1;
+}
+
+/**
+ * Throws an error listing the alias keys that match no header.
+ *
+ * @param {Array} headers - The sheet headers.
+ * @param {Object} headerMap - The header map.
+ * @param {string} sheetName - The sheet name, for the error message.
+ * @param {string[]} [extraKeys=[]] - Other keys that must be found (e.g. under strict).
+ */
+function checkHeadersResolved(headers, headerMap, sheetName, extraKeys = []) {
+  const aliases = headerMap.aliases || {};
+  const required = Object.keys(aliases).concat(extraKeys.filter(key => !aliases.hasOwnProperty(key)));
+  const unresolved = required.filter(key => findHeaderIndex(headers, key, headerMap) === -1);
+
+  if (unresolved.length > 0) {
+    const described = unresolved.map(key => aliases.hasOwnProperty(key) ? `${key} (also tried: ${[].concat(aliases[key]).join(", ")})` : key);
+    throw new Error(`Unresolved headers in sheet '${sheetName}': ${described.join("; ")}`);
+  }
+}
+
+/**
+ * Reads: turns the sheet headers into the object keys to use, following the header map.
+ *
+ * @param {Array} headers - The sheet headers.
+ * @param {Object} headerMap - The header map.
+ * @param {string} sheetName - The sheet name, for the error message.
+ * @return {Array} - One key per column ("" for columns with an empty header).
+ */
+function mapHeadersToKeys(headers, headerMap, sheetName) {
+  const { normalise = true, aliases = {}, keys = "header" } = headerMap;
+  if (["header", "camelCase"].indexOf(keys) === -1) {
+    throw new Error("Invalid headerMap.keys. Use 'header' or 'camelCase'.");
+  }
+  checkHeadersResolved(headers, headerMap, sheetName);
+
+  const result = headers.map(header => {
+    if (header === "" || header === null) return "";
+    if (keys === "camelCase") return toCamelCase(header);
+    return normalise ? String(header).trim().replace(/\s+/g, " ") : header;
+  });
+  Object.keys(aliases).forEach(key => {
+    result[findHeaderIndex(headers, key, headerMap)] = key;
+  });
+  return result;
+}
+
+/**
+ * Writes: renames the keys of the records (and the given field names) to the sheet headers they match,
+ * following the header map. Keys that match no header are kept as they are, so the usual handling of
+ * unknown keys (ensureHeaders) still applies.
+ *
+ * @param {Sheet} sheet - The sheet about to be written.
+ * @param {number} headerIndex - The header row. In pivot mode, the column holding the property names.
+ * @param {Object[]} records - The objects about to be written.
+ * @param {Array<string|string[]>} fieldNames - Other header names the function uses (e.g. columnToMatch),
+ *                                              each a name or an array of names.
+ * @param {Object} options - The options of the write function (headerMap, addMissingHeaders and pivot are used).
+ * @return {{records: Object[], fieldNames: Array<string|string[]>}} - The renamed records and field names.
+ */
+function mapRecordsToHeaders(sheet, headerIndex, records, fieldNames, options) {
+  const { headerMap, addMissingHeaders = false, pivot = false } = options;
+  const lastRow = sheet.getLastRow();
+  const headers = pivot
+    ? (lastRow > 0 ? sheet.getRange(1, headerIndex, lastRow, 1).getValues().map(row => row[0]) : [])
+    : getHeaderRow(sheet, headerIndex);
+
+  const keys = [];
+  records.forEach(record => Object.keys(record).forEach(key => {
+    if (keys.indexOf(key) === -1) keys.push(key);
+  }));
+  const mustResolve = headerMap.strict && !addMissingHeaders ? keys : [];
+  const aliases = addMissingHeaders ? {} : pickAliases(headerMap.aliases || {}, keys);
+  checkHeadersResolved(headers, { ...headerMap, aliases }, sheet.getName(), mustResolve);
+
+  const headerFor = new Map();
+  function resolve(key) {
+    if (!headerFor.has(key)) {
+      const index = findHeaderIndex(headers, key, headerMap);
+      headerFor.set(key, index === -1 ? key : headers[index]);
+    }
+    return headerFor.get(key);
+  }
+
+  return {
+    records: records.map(record => {
+      const renamed = {};
+      Object.keys(record).forEach(key => {
+        renamed[resolve(key)] = record[key];
+      });
+      return renamed;
+    }),
+    fieldNames: fieldNames.map(names => Array.isArray(names) ? names.map(resolve) : typeof names === "string" ? resolve(names) : names)
+  };
+}
+
+/** Keeps only the aliases of the given keys, so writes only insist on the keys they actually carry **/
+function pickAliases(aliases, keys) {
+  const picked = {};
+  keys.forEach(key => {
+    if (aliases.hasOwnProperty(key)) picked[key] = aliases[key];
+  });
+  return picked;
+}
@@ -0,0 +1,224 @@
+/**
+ * Processes an array of work items in batches across as many executions as it takes, so long jobs
+ * do not die half-done at the Apps Script execution time limit.
+ *
+ * Progress is checkpointed in the property store after every batch. Before each batch the runner checks
+ * the time budget (allowing for the slowest batch so far) and stops safely when it would run over. If
+ * handlerName is given it then schedules a one-off trigger that calls that function again; the next run
+ * picks up from the checkpoint. The items must be passed in the same order on every run.
+ *
+ * Each run holds the script lock from loading the checkpoint to saving the last one, so a continuation
+ * trigger and a manual or daily run never process the same items twice. A run that cannot get the lock
+ * returns at once with busy set. Skipped batches are kept in the state up to maxErrors (the latest ones),
+ * with errorCount counting them all, so the checkpoint stays within the property size limit.
+ *
+ * Example, called from a daily trigger and from its own continuation triggers:
+ *   function nightlyUpsert() {
+ *     const records = fetchRecords();
+ *     runJob("nightlyUpsert", records, batch => upsertRows(sheet, batch, "Id"), { batchSize: 100, handlerName: "nightlyUpsert" });
+ *   }
+ *
+ * @param {string} jobName - Unique name of the job, used as the checkpoint key.
+ * @param {Array} items - The work items.
+ * @param {Function} processBatch - Called as processBatch(batch, startIndex) with up to batchSize items.
+ * @param {Object} [options] - Optional settings.
+ * @param {number} [options.batchSize=1] - The number of items per batch.
+ * @param {number} [options.timeBudgetMs=300000] - Stop starting new batches after this much time (default 5 minutes).
+ * @param {string} [options.handlerName] - Global function to call from the continuation trigger. Without it,
+ *                                         nothing is scheduled and the caller decides when to run again.
+ * @param {number} [options.continueAfterMs=60000] - Delay before the continuation trigger fires.
+ * @param {("stop"|"skip")} [options.onError="stop"] - On a failed batch, keep the checkpoint at that batch and
+ *                                                     rethrow the error, or record it in the state and move on.
+ * @param {number} [options.maxErrors=20] - The number of skipped batches whose error is kept in the state.
+ * @param {Object} [options.store] - Property store with getProperty, setProperty and deleteProperty.
+ *                                   Defaults to PropertiesService.getScriptProperties().
+ * @param {Object} [options.lock] - Lock with tryLock(timeoutMs) and releaseLock(). Defaults to
+ *                                  LockService.getScriptLock().
+ * @param {number} [options.lockWaitMs=0] - How long to wait for a run in progress to finish.
+ * @param {Object} [options.clock] - Clock with now() returning milliseconds. Defaults to Date.
+ * @param {Object} [options.scheduler] - Scheduler with schedule(handlerName, delayMs), returning an id, and
+ *                                       cancel(id). Defaults to time-based triggers (see createTriggerScheduler).
+ * @return {Object} - { jobName, done, offset, total, processed, runs, errors, errorCount, scheduled, busy }, where
+ *                    processed counts the items handled in this run, errors lists { index, message } for the
+ *                    latest skipped batches, errorCount counts all of them, and busy is true if another run held
+ *                    the lock (nothing was done).
+ */
+function runJob(jobName, items, processBatch, options = {}) {
+  const {
+    batchSize = 1,
+    timeBudgetMs = 5 * 60 * 1000,
+    handlerName = null,
+    continueAfterMs = 60 * 1000,
+    onError = "stop",
+    maxErrors = 20,
+    store = PropertiesService.getScriptProperties(),
+    lock = LockService.getScriptLock(),
+    lockWaitMs = 0,
+    clock = Date,
+    scheduler = createTriggerScheduler()
+  } = options;
+
+  if (!jobName || !Array.isArray(items) || typeof processBatch !== "function") {
+    throw new Error("Invalid parameters. Check that the inputs are valid.");
+  }
+  if (!Number.isInteger(batchSize) || batchSize < 1) {
+    throw new Error(`Invalid batchSize '${batchSize}'. Use a number of items from 1.`);
+  }
+  if (["stop", "skip"].indexOf(onError) === -1) {
+    throw new Error("Invalid onError. Use 'stop' or 'skip'.");
+  }
+  if (!Number.isInteger(maxErrors) || maxErrors < 0) {
+    throw new Error(`Invalid maxErrors '${maxErrors}'. Use a number of errors from 0.`);
+  }
+
+  const startTime = clock.now();
+  if (!lock.tryLock(lockWaitMs)) {
+    const current = getJobState(jobName, store) || { offset: 0, runs: 0, errors: [] };
+    Logger.log(`Job '${jobName}' is already running; this run was skipped.`);
+    return {
+      jobName,
+      done: false,
+      offset: current.offset,
+      total: items.length,
+      processed: 0,
+      runs: current.runs,
+      errors: current.errors,
+      errorCount: current.errorCount === undefined ? current.errors.length : current.errorCount,
+      scheduled: false,
+      busy: true
+    };
+  }
+  try {
+    return runJobLocked(jobName, items, processBatch, startTime, {
+      batchSize, timeBudgetMs, handlerName, continueAfterMs, onError, maxErrors, store, clock, scheduler
+    });
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/** The body of runJob, run while holding the lock, with the options resolved **/
+function runJobLocked(jobName, items, processBatch, startTime, settings) {
+  const { batchSize, timeBudgetMs, handlerName, continueAfterMs, onError, maxErrors, store, clock, scheduler } = settings;
+  const state = getJobState(jobName, store) || { offset: 0, total: items.length, runs: 0, errors: [], errorCount: 0, triggerId: null };
+  if (state.errorCount === undefined) state.errorCount = state.errors.length;
+  if (state.total !== items.length) {
+    Logger.log(`Warning: Job '${jobName}' had ${state.total} items when it started and now has ${items.length}.`);
+    state.total = items.length;
+  }
+
+  // The trigger that started this run (if any) has done its job
+  if (state.triggerId) {
+    scheduler.cancel(state.triggerId);
+    state.triggerId = null;
+  }
+  state.runs++;
+
+  let processed = 0;
+  let slowestBatchMs = 0;
+
+  while (state.offset < items.length) {
+    // Stop if the next batch might not finish within the budget
+    const elapsed = clock.now() - startTime;
+    if (elapsed + slowestBatchMs > timeBudgetMs) break;
+
+    const batch = items.slice(state.offset, state.offset + batchSize);
+    const batchStart = clock.now();
+    try {
+      processBatch(batch, state.offset);
+    } catch (error) {
+      if (onError === "stop") {
+        store.setProperty(getJobKey(jobName), JSON.stringify(state));
+        Logger.log(`Job '${jobName}' failed at item ${state.offset}; the next run retries from there.`);
+        throw error;
+      }
+      state.errors.push({ index: state.offset, message: error.message });
+      state.errors = state.errors.slice(Math.max(state.errors.length - maxErrors, 0));
+      state.errorCount++;
+      Logger.log(`Warning: Job '${jobName}' skipped items ${state.offset} to ${state.offset + batch.length - 1}: ${error.message}`);
+    }
+    slowestBatchMs = Math.max(slowestBatchMs, clock.now() - batchStart);
+
+    state.offset += batch.length;
+    processed += batch.length;
+    store.setProperty(getJobKey(jobName), JSON.stringify(state)); // Checkpoint
+  }
+
+  const done = state.offset >= items.length;
+  let scheduled = false;
+
+  if (done) {
+    store.deleteProperty(getJobKey(jobName));
+    Logger.log(`Job '${jobName}' finished: ${items.length} items in ${state.runs} runs, ${state.errorCount} failed batches.`);
+  } else {
+    if (handlerName) {
+      state.triggerId = scheduler.schedule(handlerName, continueAfterMs);
+      scheduled = true;
+    }
+    store.setProperty(getJobKey(jobName), JSON.stringify(state));
+    Logger.log(`Job '${jobName}' paused at item ${state.offset} of ${items.length}${scheduled ? `; continuing in ${continueAfterMs / 1000}s` : ""}.`);
+  }
+
+  return {
+    jobName,
+    done,
+    offset: state.offset,
+    total: items.length,
+    processed,
+    runs: state.runs,
+    errors: state.errors,
+    errorCount: state.errorCount,
+    scheduled,
+    busy: false
+  };
+}
+
+/**
+ * Reads the checkpoint of a job.
+ *
+ * @param {string} jobName - The name passed to runJob.
+ * @param {Object} [store] - The property store. Defaults to PropertiesService.getScriptProperties().
+ * @return {Object|null} - { offset, total, runs, errors, errorCount, triggerId }, or null if the job is not in progress.
+ */
+function getJobState(jobName, store = PropertiesService.getScriptProperties()) {
+  const saved = store.getProperty(getJobKey(jobName));
+  return saved ? JSON.parse(saved) : null;
+}
+
+/**
+ * Forgets the checkpoint of a job, so the next run starts from the first item.
+ * Any pending continuation trigger is cancelled.
+ *
+ * @param {string} jobName - The name passed to runJob.
+ * @param {Object} [store] - The property store. Defaults to PropertiesService.getScriptProperties().
+ * @param {Object} [scheduler] - The scheduler. Defaults to time-based triggers.
+ */
+function resetJob(jobName, store = PropertiesService.getScriptProperties(), scheduler = createTriggerScheduler()) {
+  const state = getJobState(jobName, store);
+  if (state && state.triggerId) scheduler.cancel(state.triggerId);
+  store.deleteProperty(getJobKey(jobName));
+}
+
+/**
+ * The default runJob scheduler: one-off time-based triggers, identified by their unique id so that
+ * other triggers calling the same function (e.g. the daily trigger that starts the job) are left alone.
+ *
+ * @return {{schedule: Function, cancel: Function}}
+ */
+function createTriggerScheduler() {
+  return {
+    schedule(handlerName, delayMs) {
+      return ScriptApp.newTrigger(handlerName).timeBased().after(delayMs).create().getUniqueId();
+    },
+    cancel(triggerId) {
+      ScriptApp.getProjectTriggers().forEach(trigger => {
+        if (trigger.getUniqueId() === triggerId) ScriptApp.deleteTrigger(trigger);
+      });
+    }
+  };
+}
+
+/** Property key holding the checkpoint of a job **/
+function getJobKey(jobName) {
+  return "JOB_STATE_" + jobName;
+}
@@ -0,0 +1,135 @@
+/**
+ * Joins two sheets (or two arrays of objects) on one or more key headers into one array of objects,
+ * ready for objectsToSheetV2 or populateTableInDocument.
+ *
+ * Keys are compared like upsertRows does (as text, dates by time, composite keys part by part).
+ * A key that matches several rows on the other side produces one object per combination. Rows
+ * with an empty or partly filled key never match.
+ *
+ * Fields other than the key that exist on both sides are prefixed with the side's name, e.g.
+ * "Clients.Name" and "Invoices.Name", unless nest is set, in which case each object holds the two
+ * source objects under their names instead.
+ *
+ * @param {Sheet|Object[]} left - The left sheet, or its objects (e.g. from sheetToObjectsV2).
+ * @param {Sheet|Object[]} right - The right sheet, or its objects.
+ * @param {string|string[]|{left: (string|string[]), right: (string|string[])}} on - The key header(s), either the
+ *        same on both sides or given per side, e.g. { left: "Client ID", right: "Client" }.
+ * @param {Object} [options] - Optional settings.
+ * @param {("inner"|"left"|"full")} [options.type="inner"] - Keep only matches, also unmatched left rows, or also
+ *                                                          unmatched rows from both sides.
+ * @param {{left: string, right: string}} [options.names] - Names of the two sides. Default to the sheet names,
+ *                                                          or "left" and "right" for arrays.
+ * @param {{left: string, right: string}} [options.prefixes] - Prefixes for conflicting fields. Default to the names
+ *                                                             followed by a dot.
+ * @param {boolean} [options.nest=false] - If true, return { [leftName]: object|null, [rightName]: object|null } per row.
+ * @param {Object} [options.leftRead] - Sheet source: { headerIndex, startIndex, ...sheetToObjectsV2 options } for the left sheet.
+ * @param {Object} [options.rightRead] - Sheet source: the same for the right sheet.
+ * @return {{data: Object[], unmatched: {left: Object[], right: Object[]}}} - The joined objects, and the keys
+ *         (as { header: value } parts) on each side that found no match, each listed once.
+ */
+function joinSheets(left, right, on, options = {}) {
+  const { type = "inner", nest = false, leftRead = {}, rightRead = {} } = options;
+
+  if (["inner", "left", "full"].indexOf(type) === -1) {
+    throw new Error("Invalid join type. Use 'inner', 'left' or 'full'.");
+  }
+  const leftKeys = toMatchColumns(on && on.left !== undefined ? on.left : on);
+  const rightKeys = toMatchColumns(on && on.right !== undefined ? on.right : on);
+  if (leftKeys.length !== rightKeys.length) {
+    throw new Error("The left and right keys must have the same number of headers.");
+  }
+
+  const names = {
+    left: (options.names && options.names.left) || (Array.isArray(left) ? "left" : left.getName()),
+    right: (options.names && options.names.right) || (Array.isArray(right) ? "right" : right.getName())
+  };
+  const prefixes = {
+    left: options.prefixes && options.prefixes.left !== undefined ? options.prefixes.left : names.left + ".",
+    right: options.prefixes && options.prefixes.right !== undefined ? options.prefixes.right : names.right + "."
+  };
+  if (!nest && prefixes.left === prefixes.right) {
+    throw new Error("The left and right prefixes must differ, or conflicting fields would overwrite each other.");
+  }
+
+  // Helper: The objects of one side.
+  function readSide(source, readOptions) {
+    if (Array.isArray(source)) return source;
+    const { headerIndex = 1, startIndex = 3, ...rest } = readOptions;
+    const result = sheetToObjectsV2(source, headerIndex, startIndex, rest);
+    if (Array.isArray(result)) return result;
+    return result && Array.isArray(result.data) ? result.data : [];
+  }
+
+  const leftRows = readSide(left, leftRead);
+  const rightRows = readSide(right, rightRead);
+
+  // Index the right side by key
+  const rightIndex = new Map();
+  const rightMatched = new Set();
+  rightRows.forEach((row, index) => {
+    const matchKey = buildMatchKey(rightKeys, rightKeys.map(key => row[key]));
+    if (!matchKey.complete) return;
+    if (!rightIndex.has(matchKey.key)) rightIndex.set(matchKey.key, []);
+    rightIndex.get(matchKey.key).push(index);
+  });
+
+  // Fields found on both sides, other than a key shared by name, get prefixed
+  const leftFields = new Set();
+  leftRows.forEach(row => Object.keys(row).forEach(field => leftFields.add(field)));
+  const conflicts = new Set();
+  rightRows.forEach(row => Object.keys(row).forEach(field => {
+    const sharedKey = leftKeys.indexOf(field) !== -1 && leftKeys.indexOf(field) === rightKeys.indexOf(field);
+    if (leftFields.has(field) && !sharedKey) conflicts.add(field);
+  }));
+
+  // Helper: Combine a left and a right row (either may be null) into one object.
+  function combine(leftRow, rightRow) {
+    if (nest) return { [names.left]: leftRow, [names.right]: rightRow };
+    const result = {};
+    [[leftRow, prefixes.left], [rightRow, prefixes.right]].forEach(([row, prefix]) => {
+      if (!row) return;
+      Object.keys(row).forEach(field => {
+        if (conflicts.has(field)) {
+          result[prefix + field] = row[field];
+        } else if (!result.hasOwnProperty(field)) {
+          result[field] = row[field];
+        }
+      });
+    });
+    return result;
+  }
+
+  const data = [];
+  const unmatchedLeft = new Map();
+  const unmatchedRight = new Map();
+
+  leftRows.forEach(leftRow => {
+    const matchKey = buildMatchKey(leftKeys, leftKeys.map(key => leftRow[key]));
+    const matches = matchKey.complete ? rightIndex.get(matchKey.key) || [] : [];
+    if (matches.length === 0) {
+      if (!matchKey.empty) unmatchedLeft.set(matchKey.key, matchKey.parts);
+      if (type !== "inner") data.push(combine(leftRow, null));
+      return;
+    }
+    matches.forEach(index => {
+      rightMatched.add(index);
+      data.push(combine(leftRow, rightRows[index]));
+    });
+  });
+
+  rightRows.forEach((rightRow, index) => {
+    if (rightMatched.has(index)) return;
+    const matchKey = buildMatchKey(rightKeys, rightKeys.map(key => rightRow[key]));
+    if (!matchKey.empty) unmatchedRight.set(matchKey.key, matchKey.parts);
+    if (type === "full") data.push(combine(null, rightRow));
+  });
+
+  if (unmatchedLeft.size > 0 || unmatchedRight.size > 0) {
+    Logger.log(`Join: ${unmatchedLeft.size} keys only in '${names.left}', ${unmatchedRight.size} keys only in '${names.right}'.`);
+  }
+
+  return {
+    data,
+    unmatched: { left: Array.from(unmatchedLeft.values()), right: Array.from(unmatchedRight.values()) }
+  };
+}
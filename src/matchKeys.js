@@ -0,0 +1,106 @@
+/**
+ * Normalises the column(s) to match on into an array of header names.
+ * Accepts a single header name or an array of header names for composite keys.
+ *
+ * @param {string|string[]} columnToMatch - The header name, or array of header names, to match on.
+ * @return {string[]} - The header names making up the match key.
+ */
+function toMatchColumns(columnToMatch) {
+  const columns = Array.isArray(columnToMatch) ? columnToMatch : [columnToMatch];
+
+  if (columns.length === 0 || columns.some(column => typeof column !== "string" || column === "")) {
+    throw new Error("Invalid match column. Use a header name or an array of header names.");
+  }
+
+  return columns;
+}
+
+/**
+ * Builds a lookup key from the values of the match columns.
+ * Values are compared as text, so 42 in the sheet matches "42" in the data. Dates are compared by time.
+ *
+ * @param {string[]} columns - The header names making up the match key.
+ * @param {Array} values - The values of those columns, in the same order.
+ * @return {{key: string, complete: boolean, empty: boolean, parts: Object}} - The combined key,
+ *         whether every part has a value, whether every part is empty, and the parts by header name.
+ */
+function buildMatchKey(columns, values) {
+  const parts = {};
+  let filled = 0;
+
+  const keyParts = values.map((value, index) => {
+    parts[columns[index]] = value;
+    if (value === "" || value === null || value === undefined) {
+      return "";
+    }
+    filled++;
+    return Object.prototype.toString.call(value) === "[object Date]" ? String(value.getTime()) : String(value);
+  });
+
+  return {
+    key: keyParts.join("\u241F"), // Unit separator symbol, unlikely to appear in cell values
+    complete: filled === values.length,
+    empty: filled === 0,
+    parts
+  };
+}
+
+/**
+ * Normalises a duplicatePolicy option into one policy for sheet rows and one for data objects.
+ * "error" throws, "first" and "last" keep one of the rows (objects) sharing a key, "all" keeps them all.
+ *
+ * @param {string|{sheet: string, data: string}} [policy] - One policy for both sides, or one per side.
+ * @param {{sheet: string, data: string}} defaults - The policies to use for sides that are not given.
+ * @return {{sheet: string, data: string}} - The policy per side.
+ */
+function toDuplicatePolicy(policy, defaults) {
+  const resolved = typeof policy === "string" ? { sheet: policy, data: policy } : { ...defaults, ...(policy || {}) };
+
+  ["sheet", "data"].forEach(side => {
+    if (["error", "first", "last", "all"].indexOf(resolved[side]) === -1) {
+      throw new Error(`Invalid duplicatePolicy '${resolved[side]}'. Use 'error', 'first', 'last' or 'all'.`);
+    }
+  });
+
+  return resolved;
+}
+
+/**
+ * Applies a duplicate policy to the positions (row or object indices) that share a key.
+ *
+ * @param {number[]} positions - The positions sharing the key, in sheet (or data) order.
+ * @param {string} policy - "first", "last" or "all" ("error" is handled by reportDuplicateKeys).
+ * @return {number[]} - The positions to use.
+ */
+function pickDuplicatePositions(positions, policy) {
+  if (policy === "first") return positions.slice(0, 1);
+  if (policy === "last") return positions.slice(-1);
+  return positions;
+}
+
+/**
+ * Lists the keys shared by several sheet rows or data objects, and throws if the policy of a side
+ * with duplicates is "error".
+ *
+ * @param {{sheet: Object[], data: Object[]}} duplicates - Sheet duplicates as { key, rows } (sheet row numbers)
+ *                                                       and data duplicates as { key, indices } (array indices).
+ * @param {{sheet: string, data: string}} policy - The policy per side.
+ * @return {{sheet: Object[], data: Object[]}} - The same duplicates, for the caller's summary.
+ */
+function reportDuplicateKeys(duplicates, policy) {
+  const messages = [];
+  if (policy.sheet === "error") {
+    duplicates.sheet.forEach(({ key, rows }) => messages.push(`rows ${rows.join(", ")} share ${JSON.stringify(key)}`));
+  }
+  if (policy.data === "error") {
+    duplicates.data.forEach(({ key, indices }) => messages.push(`data objects ${indices.join(", ")} share ${JSON.stringify(key)}`));
+  }
+  if (messages.length > 0) {
+    throw new Error(`Duplicate keys found: ${messages.join("; ")}`);
+  }
+
+  if (duplicates.sheet.length > 0 || duplicates.data.length > 0) {
+    Logger.log(`Warning: ${duplicates.sheet.length} keys appear in several rows and ${duplicates.data.length} in several data objects (policy: sheet '${policy.sheet}', data '${policy.data}').`);
+  }
+  return duplicates;
+}
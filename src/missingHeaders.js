@@ -0,0 +1,85 @@
+/**
+ * Compares the keys of the objects about to be written with the sheet's headers, and either adds
+ * the missing headers or reports the keys that would be dropped.
+ * Called by objectsToSheet, objectsToSheetV2, addRowsToSheet and upsertRows before they read the headers.
+ *
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The sheet about to be written.
+ * @param {Object[]} records - The objects about to be written.
+ * @param {number} headerIndex - The header row. In pivot mode, the column holding the property names.
+ * @param {Object} [options] - Optional settings.
+ * @param {boolean} [options.addMissingHeaders=false] - If true, a header is added for every key not yet in the sheet.
+ * @param {("end"|number|{after: string})} [options.headerPosition="end"] - Where new headers go: after the last
+ *        column with content (last row in pivot mode), before the given column (row) number, or right after an
+ *        existing header. Columns (rows) are inserted when the position is not the end, so existing cells shift.
+ * @param {("warn"|"error"|"ignore")} [options.onDroppedKeys="warn"] - When addMissingHeaders is off, whether to log
+ *        the keys that have no header, throw an error listing them, or drop them silently.
+ * @param {boolean} [options.pivot=false] - If true, headers are read down column headerIndex instead of along a row.
+ * @return {{added: string[], dropped: string[]}} - The headers that were added and the keys that will not be written.
+ */
+function ensureHeaders(sheet, records, headerIndex, options = {}) {
+  const { addMissingHeaders = false, headerPosition = "end", onDroppedKeys = "warn", pivot = false } = options;
+
+  if (["warn", "error", "ignore"].indexOf(onDroppedKeys) === -1) {
+    throw new Error("Invalid onDroppedKeys. Use 'warn', 'error' or 'ignore'.");
+  }
+
+  const lastRow = sheet.getLastRow();
+  const lastColumn = sheet.getLastColumn();
+  let headers;
+  if (pivot) {
+    headers = lastRow > 0 ? sheet.getRange(1, headerIndex, lastRow, 1).getValues().map(row => row[0]) : [];
+  } else {
+    headers = getHeaderRow(sheet, headerIndex);
+  }
+
+  // Collect the keys with no header, in the order they first appear
+  const missing = [];
+  records.forEach(record => {
+    Object.keys(record).forEach(key => {
+      if (key !== "" && headers.indexOf(key) === -1 && missing.indexOf(key) === -1) missing.push(key);
+    });
+  });
+  if (missing.length === 0) return { added: [], dropped: [] };
+
+  if (!addMissingHeaders) {
+    const message = `Keys not found in the headers of '${sheet.getName()}' were not written: ${missing.join(", ")}`;
+    if (onDroppedKeys === "error") throw new Error(message);
+    if (onDroppedKeys === "warn") Logger.log("Warning: " + message);
+    return { added: [], dropped: missing };
+  }
+
+  // Work out where the new headers go (a column number, or a row number in pivot mode)
+  const lastUsed = pivot ? lastRow : lastColumn;
+  let position;
+  if (headerPosition === "end") {
+    position = lastUsed + 1;
+  } else if (Number.isInteger(headerPosition) && headerPosition >= 1) {
+    position = headerPosition;
+  } else if (headerPosition && typeof headerPosition.after === "string") {
+    const index = headers.indexOf(headerPosition.after);
+    if (index === -1) {
+      throw new Error(`Header '${headerPosition.after}' given in headerPosition not found.`);
+    }
+    position = index + 2;
+  } else {
+    throw new Error("Invalid headerPosition. Use 'end', a column number or { after: header }.");
+  }
+
+  // Make room unless the headers go after all existing content
+  if (position <= lastUsed) {
+    if (pivot) {
+      sheet.insertRowsBefore(position, missing.length);
+    } else {
+      sheet.insertColumnsBefore(position, missing.length);
+    }
+  }
+
+  if (pivot) {
+    sheet.getRange(position, headerIndex, missing.length, 1).setValues(missing.map(key => [key]));
+  } else {
+    sheet.getRange(headerIndex, position, 1, missing.length).setValues([missing]);
+  }
+
+  Logger.log(`Added ${missing.length} headers to '${sheet.getName()}': ${missing.join(", ")}`);
+  return { added: missing, dropped: [] };
+}
@@ -0,0 +1,288 @@
+/**
+ * Creates an in-memory stand-in for a sheet, used by the dryRun option of the write functions.
+ * The sheet's content is read once; writes only change the in-memory copy, and getChanges()
+ * lists every cell that would change, so bulk changes can be reviewed before they are made.
+ *
+ * Only the Sheet and Range methods used by the write functions in this library are supported.
+ * Deleted rows are recorded (see getDeletedRows) but do not shift the remaining rows. Inserted rows and
+ * columns do shift them, and changes are then reported at the cells' new positions.
+ * getDisplayValues returns the sheet's own display text for cells that were not written. Written cells
+ * have no number format yet, so dates show as "yyyy-MM-dd" (with " HH:mm:ss" unless at midnight) in the
+ * script time zone, other values as plain text, and formulas as "" since they are not calculated.
+ *
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The real sheet. It is only read, never written.
+ * @param {Object} [options] - Optional settings.
+ * @param {number} [options.headerRow] - Row holding the headers, used to label each change.
+ * @param {number} [options.headerColumn] - Column holding the headers (pivot layouts), used to label each change.
+ * @return {Object} - The preview sheet.
+ */
+function createPreviewSheet(sheet, options = {}) {
+  const { headerRow = null, headerColumn = null } = options;
+  const sheetName = sheet.getName();
+  const originalLastRow = sheet.getLastRow();
+  const originalLastColumn = sheet.getLastColumn();
+  const hasContent = originalLastRow > 0 && originalLastColumn > 0;
+  const originalRange = hasContent ? sheet.getRange(1, 1, originalLastRow, originalLastColumn) : null;
+  const originalValues = hasContent ? originalRange.getValues() : [];
+  const originalFormulas = hasContent ? originalRange.getFormulas() : [];
+
+  const written = new Map(); // "row,column" => { value, formula }
+  const deletedRows = [];
+
+  // Current row/column => row/column in the real sheet, or null for inserted ones
+  const rowOrigin = Array.from({ length: originalLastRow }, (_, i) => i + 1);
+  const columnOrigin = Array.from({ length: originalLastColumn }, (_, i) => i + 1);
+
+  // Helper: The cell as it is in the real sheet.
+  function getOriginal(row, column) {
+    const originalRow = rowOrigin[row - 1];
+    const originalColumn = columnOrigin[column - 1];
+    if (!originalRow || !originalColumn) return { value: "", formula: "" };
+    return { value: originalValues[originalRow - 1][originalColumn - 1], formula: originalFormulas[originalRow - 1][originalColumn - 1] };
+  }
+
+  // Helper: The cell as it would be after the writes so far.
+  function getCurrent(row, column) {
+    return written.get(`${row},${column}`) || getOriginal(row, column);
+  }
+
+  // Helper: The text the cell would display (see above). The sheet's display values are read on first use.
+  let originalDisplayValues = null;
+  function getDisplayValue(row, column) {
+    const cell = written.get(`${row},${column}`);
+    if (!cell) {
+      const originalRow = rowOrigin[row - 1];
+      const originalColumn = columnOrigin[column - 1];
+      if (!originalRow || !originalColumn) return "";
+      if (originalDisplayValues === null) originalDisplayValues = originalRange.getDisplayValues();
+      return originalDisplayValues[originalRow - 1][originalColumn - 1];
+    }
+    if (cell.formula !== "" || cell.value === null || cell.value === undefined) return "";
+    if (Object.prototype.toString.call(cell.value) === "[object Date]") {
+      const text = Utilities.formatDate(cell.value, Session.getScriptTimeZone(), "yyyy-MM-dd HH:mm:ss");
+      return / 00:00:00$/.test(text) ? text.slice(0, 10) : text;
+    }
+    return String(cell.value);
+  }
+
+  // Helper: Write a value, treating text that starts with "=" as a formula like setValues does.
+  function writeValue(row, column, value) {
+    const isFormula = typeof value === "string" && value.charAt(0) === "=";
+    written.set(`${row},${column}`, { value: isFormula ? "" : value, formula: isFormula ? value : "" });
+  }
+
+  // Helper: Rewrite the cell references outside string literals of a formula.
+  function mapReferences(formula, pattern, replace) {
+    return formula.split(/("(?:[^"]|"")*")/).map((part, i) => i % 2 === 1 ? part : part.replace(pattern, replace)).join("");
+  }
+
+  // Helper: A1 formula => R1C1 formula, relative to the cell it is in. Covers plain cell references only.
+  function toR1C1(formula, row, column) {
+    if (!formula) return formula;
+    return mapReferences(formula, /(?<![A-Za-z0-9_.])(\$?)([A-Z]{1,3})(\$?)(\d+)(?![A-Za-z0-9_(])/g, (match, absColumn, name, absRow, number) => {
+      const refRow = Number(number);
+      const refColumn = columnNameToIndex(name);
+      return "R" + (absRow ? refRow : `[${refRow - row}]`) + "C" + (absColumn ? refColumn : `[${refColumn - column}]`);
+    });
+  }
+
+  // Helper: R1C1 formula => A1 formula for the cell it is written to.
+  function toA1(formula, row, column) {
+    if (!formula) return formula;
+    return mapReferences(formula, /(?<![A-Za-z0-9_.])R(\[-?\d+\]|\d+)?C(\[-?\d+\]|\d+)?(?![A-Za-z0-9_(])/g, (match, rowPart, columnPart) => {
+      const resolve = (part, base) => !part ? { index: base, abs: "" } :
+        part.charAt(0) === "[" ? { index: base + Number(part.slice(1, -1)), abs: "" } : { index: Number(part), abs: "$" };
+      const refRow = resolve(rowPart, row);
+      const refColumn = resolve(columnPart, column);
+      return refColumn.abs + columnIndexToName(refColumn.index) + refRow.abs + refRow.index;
+    });
+  }
+
+  function isEmptyCell(cell) {
+    return cell.formula === "" && (cell.value === "" || cell.value === null || cell.value === undefined);
+  }
+
+  function isSameValue(a, b) {
+    const isDate = value => Object.prototype.toString.call(value) === "[object Date]";
+    if (isDate(a) && isDate(b)) return a.getTime() === b.getTime();
+    const emptyA = a === "" || a === null || a === undefined;
+    const emptyB = b === "" || b === null || b === undefined;
+    return (emptyA && emptyB) || a === b;
+  }
+
+  function getLastRow() {
+    let lastRow = 0;
+    for (let row = rowOrigin.length; row >= 1 && lastRow === 0; row--) {
+      for (let column = 1; column <= columnOrigin.length; column++) {
+        if (!isEmptyCell(getCurrent(row, column))) {
+          lastRow = row;
+          break;
+        }
+      }
+    }
+    written.forEach((cell, key) => {
+      const row = Number(key.split(",")[0]);
+      if (row > lastRow && !isEmptyCell(cell)) lastRow = row;
+    });
+    return lastRow;
+  }
+
+  function getLastColumn() {
+    let lastColumn = 0;
+    for (let column = columnOrigin.length; column >= 1 && lastColumn === 0; column--) {
+      for (let row = 1; row <= rowOrigin.length; row++) {
+        if (!isEmptyCell(getCurrent(row, column))) {
+          lastColumn = column;
+          break;
+        }
+      }
+    }
+    written.forEach((cell, key) => {
+      const column = Number(key.split(",")[1]);
+      if (column > lastColumn && !isEmptyCell(cell)) lastColumn = column;
+    });
+    return lastColumn;
+  }
+
+  // Helper: Insert empty rows or columns, shifting the cells at and after position.
+  function insertBefore(isRow, position, howMany) {
+    const origin = isRow ? rowOrigin : columnOrigin;
+    if (position <= origin.length) {
+      origin.splice(position - 1, 0, ...new Array(howMany).fill(null));
+    }
+    const shifted = new Map();
+    written.forEach((cell, key) => {
+      let [row, column] = key.split(",").map(Number);
+      if (isRow && row >= position) row += howMany;
+      if (!isRow && column >= position) column += howMany;
+      shifted.set(`${row},${column}`, cell);
+    });
+    written.clear();
+    shifted.forEach((cell, key) => written.set(key, cell));
+  }
+
+  function createRange(row, column, numRows = 1, numColumns = 1) {
+    if (row < 1 || column < 1 || numRows < 1 || numColumns < 1) {
+      throw new Error(`Invalid range: row ${row}, column ${column}, ${numRows} rows, ${numColumns} columns.`);
+    }
+
+    function mapCells(callback) {
+      const grid = [];
+      for (let i = 0; i < numRows; i++) {
+        const gridRow = [];
+        for (let j = 0; j < numColumns; j++) {
+          gridRow.push(callback(row + i, column + j));
+        }
+        grid.push(gridRow);
+      }
+      return grid;
+    }
+
+    function checkDimensions(grid) {
+      if (grid.length !== numRows || grid.some(gridRow => gridRow.length !== numColumns)) {
+        throw new Error(`The data has ${grid.length} rows but the range has ${numRows} rows and ${numColumns} columns.`);
+      }
+    }
+
+    const range = {
+      getRow: () => row,
+      getColumn: () => column,
+      getNumRows: () => numRows,
+      getNumColumns: () => numColumns,
+      getValues: () => mapCells((r, c) => getCurrent(r, c).value),
+      getDisplayValues: () => mapCells(getDisplayValue),
+      getFormulas: () => mapCells((r, c) => getCurrent(r, c).formula),
+      getFormulasR1C1: () => mapCells((r, c) => toR1C1(getCurrent(r, c).formula, r, c)),
+      setValues(values) {
+        checkDimensions(values);
+        values.forEach((gridRow, i) => gridRow.forEach((value, j) => writeValue(row + i, column + j, value)));
+        return range;
+      },
+      setValue(value) {
+        writeValue(row, column, value);
+        return range;
+      },
+      setFormulas(formulas) {
+        checkDimensions(formulas);
+        formulas.forEach((gridRow, i) => gridRow.forEach((formula, j) => writeValue(row + i, column + j, formula)));
+        return range;
+      },
+      setFormulasR1C1(formulas) {
+        checkDimensions(formulas);
+        formulas.forEach((gridRow, i) => gridRow.forEach((formula, j) => {
+          writeValue(row + i, column + j, toA1(formula, row + i, column + j));
+        }));
+        return range;
+      },
+      setFormula(formula) {
+        writeValue(row, column, formula);
+        return range;
+      },
+      clearContent() {
+        mapCells((r, c) => writeValue(r, c, ""));
+        return range;
+      }
+    };
+    return range;
+  }
+
+  return {
+    getName: () => sheetName,
+    getParent: () => sheet.getParent(),
+    getLastRow,
+    getLastColumn,
+    getRange: createRange,
+    getDataRange: () => createRange(1, 1, Math.max(getLastRow(), 1), Math.max(getLastColumn(), 1)),
+    appendRow(rowValues) {
+      createRange(getLastRow() + 1, 1, 1, rowValues.length).setValues([rowValues]);
+    },
+    deleteRow(row) {
+      deletedRows.push(row);
+    },
+    deleteRows(row, howMany) {
+      for (let i = 0; i < howMany; i++) deletedRows.push(row + i);
+    },
+    insertRowsBefore(row, howMany) {
+      insertBefore(true, row, howMany);
+    },
+    insertColumnsBefore(column, howMany) {
+      insertBefore(false, column, howMany);
+    },
+
+    /** @return {number[]} - Rows that would be deleted, numbered as in the real sheet. */
+    getDeletedRows: () => deletedRows.slice().sort((a, b) => a - b),
+
+    /**
+     * Lists the cells that would change, sorted by row and column.
+     * @return {Object[]} - { sheet, cell, row, column, header, oldValue, newValue, formulaAffected, oldFormula, newFormula }
+     */
+    getChanges() {
+      const changes = [];
+      written.forEach((cell, key) => {
+        const [row, column] = key.split(",").map(Number);
+        if (deletedRows.indexOf(row) !== -1) return;
+
+        const original = getOriginal(row, column);
+        if (original.formula === cell.formula && (cell.formula !== "" || isSameValue(original.value, cell.value))) return;
+
+        let header = null;
+        if (headerRow) header = getCurrent(headerRow, column).value;
+        if (headerColumn) header = getCurrent(row, headerColumn).value;
+
+        changes.push({
+          sheet: sheetName,
+          cell: columnIndexToName(column) + row,
+          row,
+          column,
+          header,
+          oldValue: original.value,
+          newValue: cell.formula || cell.value,
+          formulaAffected: original.formula !== "" || cell.formula !== "",
+          oldFormula: original.formula,
+          newFormula: cell.formula
+        });
+      });
+      return changes.sort((a, b) => a.row - b.row || a.column - b.column);
+    }
+  };
+}
@@ -0,0 +1,249 @@
+/**
+ * Filters, groups, sorts and selects sheet data by header, from a declarative spec.
+ * The result is a plain array of objects, ready to pass to objectsToSheetV2.
+ *
+ * When the source is a sheet, the data is read with a single getValues call, limited to the columns
+ * up to the last one the spec uses, and values are kept raw (dates stay Date objects) so that range
+ * conditions and sorting compare them properly.
+ *
+ * Steps run in this order: where, groupBy (with aggregates), orderBy, select, limit.
+ *
+ * Example:
+ *   querySheet(sheet, {
+ *     where: { Status: ["open", "pending"], Amount: { min: 100 }, Email: { regex: /@example\.com$/ } },
+ *     groupBy: ["Client"],
+ *     aggregates: { Orders: { count: "*" }, Total: { sum: "Amount" }, Last: { max: "Date" } },
+ *     orderBy: [{ field: "Total", direction: "desc" }, "Client"]
+ *   });
+ *
+ * @param {Sheet|Object[]} source - The sheet to read, or objects such as those returned by sheetToObjectsV2.
+ * @param {Object} [spec] - The query.
+ * @param {Object|Function} [spec.where] - Conditions by header, all of which must hold, or a predicate
+ *        called with each object. A condition is a value (equals), an array (in), a RegExp, a function
+ *        called with the value, or an object with any of: equals, in, min, max (inclusive range),
+ *        regex (RegExp or pattern string) and empty (true or false).
+ * @param {string|string[]} [spec.groupBy] - Headers to group by. Each group becomes one object holding the
+ *        group values and the aggregates.
+ * @param {Object} [spec.aggregates] - Aggregates per group (or over all rows when groupBy is not set), by
+ *        output name: { count: "*" } counts rows, { count: header } counts non-empty values, and
+ *        { sum: header }, { min: header } and { max: header } work on non-empty values.
+ * @param {string|Array<string|{field: string, direction: ("asc"|"desc")}>} [spec.orderBy] - Sort keys, in order
+ *        of priority. Empty values sort last.
+ * @param {string[]|Object} [spec.select] - Fields to keep, or a map of output name to field to rename them.
+ * @param {number} [spec.limit] - Maximum number of objects to return.
+ * @param {number} [spec.headerIndex=1] - Sheet source: the row containing headers.
+ * @param {number} [spec.startIndex=3] - Sheet source: the row where data starts.
+ * @return {Object[]} - The resulting objects.
+ */
+function querySheet(source, spec = {}) {
+  const { where = null, groupBy = null, aggregates = null, orderBy = null, select = null, limit = null } = spec;
+
+  const groupFields = groupBy === null ? [] : [].concat(groupBy);
+  const orderKeys = orderBy === null ? [] : [].concat(orderBy).map(key => typeof key === "string" ? { field: key, direction: "asc" } : key);
+  const selectMap = select === null ? null : Array.isArray(select)
+    ? select.reduce((map, field) => ({ ...map, [field]: field }), {})
+    : select;
+
+  orderKeys.forEach(key => {
+    if (!key || !key.field || ["asc", "desc"].indexOf(key.direction || "asc") === -1) {
+      throw new Error(`Invalid orderBy key '${JSON.stringify(key)}'. Use a field name or { field, direction: "asc"|"desc" }.`);
+    }
+  });
+  const aggregateList = Object.keys(aggregates || {}).map(name => {
+    const definition = aggregates[name];
+    const operation = ["count", "sum", "min", "max"].find(op => definition && definition.hasOwnProperty(op));
+    if (!operation) {
+      throw new Error(`Invalid aggregate '${name}'. Use { count }, { sum }, { min } or { max }.`);
+    }
+    return { name, operation, field: definition[operation] };
+  });
+
+  // Work out which fields the query reads from the source; grouped queries only output group fields and aggregates
+  const grouped = groupFields.length > 0 || aggregateList.length > 0;
+  const readsAllFields = typeof where === "function" || (!grouped && !selectMap);
+  const sourceFields = [
+    ...(where && typeof where === "object" ? Object.keys(where) : []),
+    ...groupFields,
+    ...aggregateList.map(aggregate => aggregate.field).filter(field => field !== "*"),
+    ...(grouped ? [] : orderKeys.map(key => key.field)),
+    ...(grouped || !selectMap ? [] : Object.values(selectMap))
+  ];
+
+  let rows = Array.isArray(source) ? source : readQuerySource(source, spec, sourceFields, readsAllFields);
+
+  // where
+  if (typeof where === "function") {
+    rows = rows.filter(row => where(row));
+  } else if (where) {
+    const conditions = Object.keys(where).map(field => ({ field, test: buildQueryCondition(field, where[field]) }));
+    rows = rows.filter(row => conditions.every(({ field, test }) => test(row[field], row)));
+  }
+
+  // groupBy and aggregates
+  if (grouped) {
+    const groups = new Map();
+    rows.forEach(row => {
+      const key = buildMatchKey(groupFields, groupFields.map(field => row[field])).key;
+      if (!groups.has(key)) groups.set(key, { values: groupFields.map(field => row[field]), rows: [] });
+      groups.get(key).rows.push(row);
+    });
+    if (groupFields.length === 0 && groups.size === 0) {
+      groups.set("", { values: [], rows: [] }); // Aggregates over no rows still return one object
+    }
+
+    rows = Array.from(groups.values()).map(group => {
+      const result = {};
+      groupFields.forEach((field, index) => {
+        result[field] = group.values[index];
+      });
+      aggregateList.forEach(aggregate => {
+        result[aggregate.name] = computeQueryAggregate(aggregate, group.rows);
+      });
+      return result;
+    });
+  }
+
+  // orderBy
+  if (orderKeys.length > 0) {
+    rows = rows.slice().sort((a, b) => {
+      for (const key of orderKeys) {
+        const order = compareQueryValues(a[key.field], b[key.field], key.direction === "desc");
+        if (order !== 0) return order;
+      }
+      return 0;
+    });
+  }
+
+  // select
+  if (selectMap) {
+    rows = rows.map(row => {
+      const result = {};
+      Object.keys(selectMap).forEach(name => {
+        if (row.hasOwnProperty(selectMap[name])) result[name] = row[selectMap[name]];
+      });
+      return result;
+    });
+  }
+
+  return limit === null ? rows : rows.slice(0, limit);
+}
+
+/**
+ * Reads the objects for querySheet from a sheet in one call, up to the last column the query needs.
+ *
+ * @param {Sheet} sheet - The sheet to read.
+ * @param {Object} spec - The query spec (headerIndex and startIndex are used).
+ * @param {string[]} fields - The fields the query refers to.
+ * @param {boolean} allColumns - If true, every column is read (e.g. a where predicate may look at any field).
+ * @return {Object[]} - One object per non-empty row, with raw values.
+ */
+function readQuerySource(sheet, spec, fields, allColumns) {
+  const { headerIndex = 1, startIndex = 3 } = spec;
+  validateSheetLayout(headerIndex, startIndex);
+
+  const headers = getHeaderRow(sheet, headerIndex);
+  const missing = fields.filter((field, index) => fields.indexOf(field) === index && headers.indexOf(field) === -1);
+  if (missing.length > 0) {
+    throw new Error(`Headers not found in sheet '${sheet.getName()}': ${missing.join(", ")}`);
+  }
+
+  const numRows = sheet.getLastRow() - startIndex + 1;
+  const numColumns = allColumns ? headers.length : Math.max(0, ...fields.map(field => headers.indexOf(field) + 1));
+  if (numRows < 1 || numColumns < 1) return [];
+
+  const values = sheet.getRange(startIndex, 1, numRows, numColumns).getValues();
+  const readHeaders = headers.slice(0, numColumns);
+  return values
+    .filter(row => row.some(cell => cell !== ""))
+    .map(row => rowToObject(row, readHeaders, null, { useDisplayDates: false }, () => {}));
+}
+
+/**
+ * Turns a querySheet where condition into a test function.
+ *
+ * @param {string} field - The field the condition applies to (used in error messages).
+ * @param {*} condition - The condition, see querySheet.
+ * @return {Function} - Called as test(value, row), returns true if the value meets the condition.
+ */
+function buildQueryCondition(field, condition) {
+  const isEmpty = value => value === "" || value === null || value === undefined;
+  const isDate = value => Object.prototype.toString.call(value) === "[object Date]";
+  const same = (a, b) => isDate(a) || isDate(b)
+    ? isDate(a) && isDate(b) && a.getTime() === b.getTime()
+    : !isEmpty(a) && String(a) === String(b);
+
+  if (typeof condition === "function") return condition;
+  if (condition instanceof RegExp) return value => !isEmpty(value) && condition.test(String(value));
+  if (Array.isArray(condition)) return value => condition.some(option => same(value, option));
+  if (condition === null || typeof condition !== "object" || isDate(condition)) return value => same(value, condition);
+
+  const known = ["equals", "in", "min", "max", "regex", "empty"];
+  const unknown = Object.keys(condition).filter(key => known.indexOf(key) === -1);
+  if (unknown.length > 0) {
+    throw new Error(`Invalid condition on '${field}': ${unknown.join(", ")}. Use ${known.join(", ")}.`);
+  }
+
+  const tests = [];
+  if (condition.hasOwnProperty("equals")) tests.push(value => same(value, condition.equals));
+  if (condition.hasOwnProperty("in")) tests.push(value => condition.in.some(option => same(value, option)));
+  if (condition.hasOwnProperty("min")) tests.push(value => !isEmpty(value) && compareQueryValues(value, condition.min, false) >= 0);
+  if (condition.hasOwnProperty("max")) tests.push(value => !isEmpty(value) && compareQueryValues(value, condition.max, false) <= 0);
+  if (condition.hasOwnProperty("regex")) {
+    const pattern = condition.regex instanceof RegExp ? condition.regex : new RegExp(condition.regex);
+    tests.push(value => !isEmpty(value) && pattern.test(String(value)));
+  }
+  if (condition.hasOwnProperty("empty")) tests.push(value => isEmpty(value) === !!condition.empty);
+
+  return value => tests.every(test => test(value));
+}
+
+/**
+ * Compares two values for sorting. Each value is ranked by type first, then compared within its rank:
+ * numbers, dates and text holding a number (e.g. "9") by size, then booleans (false first), then other
+ * text. Empty values always sort last, whichever the direction.
+ *
+ * @param {*} a - The first value.
+ * @param {*} b - The second value.
+ * @param {boolean} descending - If true, reverse the order of non-empty values.
+ * @return {number} - Negative if a comes first, positive if b comes first, 0 if equal.
+ */
+function compareQueryValues(a, b, descending) {
+  const isEmpty = value => value === "" || value === null || value === undefined;
+  if (isEmpty(a) || isEmpty(b)) return isEmpty(a) === isEmpty(b) ? 0 : isEmpty(a) ? 1 : -1;
+
+  // Helper: The rank of a value and the value to compare within the rank.
+  function toSortKey(value) {
+    if (Object.prototype.toString.call(value) === "[object Date]") return { rank: 0, key: value.getTime() };
+    if (typeof value === "number" && !isNaN(value)) return { rank: 0, key: value };
+    if (typeof value === "string" && value.trim() !== "" && isFinite(value)) return { rank: 0, key: Number(value) };
+    if (typeof value === "boolean") return { rank: 1, key: Number(value) };
+    return { rank: 2, key: String(value) };
+  }
+
+  const x = toSortKey(a);
+  const y = toSortKey(b);
+  let order = x.rank - y.rank;
+  if (order === 0) order = x.rank === 2 ? x.key.localeCompare(y.key) : x.key - y.key;
+  return descending ? -order : order;
+}
+
+/**
+ * Computes one querySheet aggregate over the rows of a group.
+ *
+ * @param {{operation: string, field: string}} aggregate - The aggregate to compute.
+ * @param {Object[]} rows - The rows of the group.
+ * @return {*} - The count, sum, minimum or maximum ("" when there are no values for min/max).
+ */
+function computeQueryAggregate(aggregate, rows) {
+  const { operation, field } = aggregate;
+  if (operation === "count" && field === "*") return rows.length;
+
+  const values = rows.map(row => row[field]).filter(value => value !== "" && value !== null && value !== undefined);
+  if (operation === "count") return values.length;
+  if (operation === "sum") return values.reduce((total, value) => total + Number(value), 0);
+  if (values.length === 0) return "";
+  return values.reduce((best, value) => {
+    const order = compareQueryValues(value, best, false);
+    return (operation === "min" ? order < 0 : order > 0) ? value : best;
+  });
+}
@@ -0,0 +1,155 @@
+/**
+ * Mirrors an array of objects into a sheet by key, so the sheet exactly reflects the source list:
+ *  - rows whose key matches an object are updated,
+ *  - objects with no matching row are appended, and
+ *  - rows whose key no longer appears in the data are deleted, cleared (formulas are kept) or marked.
+ *
+ * Keys may span several columns. Rows with an empty or partly filled key are never removed. In "mark"
+ * mode, a matched row that carries the marker gets it cleared again, unless the object provides its
+ * own value for the status column.
+ *
+ * Row numbers in the summary refer to the sheet before any rows are deleted.
+ *
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The Google Sheet object to process.
+ * @param {Object[]} data - The complete list of objects the sheet should reflect.
+ * @param {string|string[]} columnToMatch - The header name, or array of header names, to match on.
+ * @param {number} [headerRowIndex=1] - The index of the header row (1-based).
+ * @param {number} [startRowIndex=headerRowIndex + 1] - The first row (1-based) that holds data.
+ * @param {Object} [options] - Optional settings.
+ * @param {("delete"|"clear"|"mark")} [options.removal="delete"] - What to do with rows missing from the data.
+ * @param {string} [options.statusColumn="Status"] - In "mark" mode, the header of the column to write the marker to.
+ * @param {*} [options.statusValue="Archived"] - In "mark" mode, the marker written to removed rows.
+ * @param {string|{sheet: string, data: string}} [options.duplicatePolicy={ sheet: "last", data: "all" }] - What to do
+ *        when a key appears in several sheet rows or data objects, as in upsertRows.
+ * @param {boolean} [options.allowEmpty=false] - If true, an empty data array removes every keyed row. Otherwise
+ *                                              it throws (unless dryRun is set), so a failed fetch cannot wipe the sheet.
+ * @param {boolean} [options.dryRun=false] - If true, nothing is written and the planned changes are returned.
+ * @return {Object} - Summary: { updated, inserted, removed: { count, rows, mode }, skipped, incompleteKeys, duplicates,
+ *                    dryRun }.
+ *                    In dry-run mode it also holds changes: { updates: [{ row, values }], inserts: [{ row, record }],
+ *                    removals: [{ row, key }] }.
+ */
+function syncRows(sheet, data, columnToMatch, headerRowIndex = 1, startRowIndex = headerRowIndex + 1, options = {}) {
+  const { removal = "delete", statusColumn = "Status", statusValue = "Archived", allowEmpty = false, dryRun = false } = options;
+
+  if (!sheet || !Array.isArray(data)) {
+    throw new Error("Invalid parameters. Check that the inputs are valid.");
+  }
+  if (["delete", "clear", "mark"].indexOf(removal) === -1) {
+    throw new Error("Invalid removal mode. Use 'delete', 'clear' or 'mark'.");
+  }
+  validateSheetLayout(headerRowIndex, startRowIndex);
+  const duplicatePolicy = toDuplicatePolicy(options.duplicatePolicy, { sheet: "last", data: "all" });
+  if (data.length === 0 && !allowEmpty && !dryRun) {
+    throw new Error("No data to sync: this would remove every row. Set allowEmpty to sync an empty list.");
+  }
+
+  // Match the data against the sheet
+  const plan = planUpsert(sheet, data, columnToMatch, headerRowIndex, startRowIndex, duplicatePolicy);
+  const { headers, sheetData, rowKeys } = plan;
+
+  let statusIndex = -1;
+  if (removal === "mark") {
+    statusIndex = headers.indexOf(statusColumn);
+    if (statusIndex === -1) {
+      throw new Error(`Status column '${statusColumn}' not found in sheet headers.`);
+    }
+  }
+
+  // Collect the keys present in the data
+  const incomingKeys = new Set();
+  data.forEach((rowObject) => {
+    const matchKey = buildMatchKey(plan.matchColumns, plan.matchColumns.map((column) => rowObject[column]));
+    if (matchKey.complete) incomingKeys.add(matchKey.key);
+  });
+
+  // Find rows whose key no longer appears in the data
+  const rowsToRemove = []; // 0-based indices into sheetData
+  rowKeys.forEach((key, rowIndex) => {
+    if (key === null || incomingKeys.has(key)) return;
+    if (removal === "mark" && sheetData[rowIndex][statusIndex] === statusValue) return; // Already marked
+    rowsToRemove.push(rowIndex);
+  });
+
+  if (removal === "mark") {
+    // Clear the marker on rows that are back in the data
+    plan.existingUpdates = plan.existingUpdates.map(({ rowIndex, rowObject }) => {
+      if (sheetData[rowIndex][statusIndex] === statusValue && !rowObject.hasOwnProperty(statusColumn)) {
+        return { rowIndex, rowObject: { ...rowObject, [statusColumn]: "" } };
+      }
+      return { rowIndex, rowObject };
+    });
+  }
+
+  const removedRows = rowsToRemove.map((rowIndex) => startRowIndex + rowIndex);
+
+  // Helper: The match column values of a sheet row, by header name.
+  function getRowKeyParts(rowIndex) {
+    const parts = {};
+    plan.matchColumns.forEach((column) => {
+      parts[column] = sheetData[rowIndex][headers.indexOf(column)];
+    });
+    return parts;
+  }
+
+  if (dryRun) {
+    const appendStartRow = getAppendRow(sheet, startRowIndex);
+    const changes = {
+      updates: plan.existingUpdates.map(({ rowIndex, rowObject }) => ({ row: startRowIndex + rowIndex, values: rowObject })),
+      inserts: plan.newRecords.map((record, index) => ({ row: appendStartRow + index, record })),
+      removals: rowsToRemove.map((rowIndex) => ({ row: startRowIndex + rowIndex, key: getRowKeyParts(rowIndex) }))
+    };
+    Logger.log(`Dry run: ${changes.updates.length} updates, ${changes.inserts.length} inserts, ${changes.removals.length} removals (${removal}).`);
+
+    return {
+      ...buildUpsertSummary(
+        changes.updates.map((update) => update.row),
+        changes.inserts.map((insert) => insert.row),
+        plan.skippedRecords,
+        plan.incompleteKeys
+      ),
+      removed: { count: removedRows.length, rows: removedRows, mode: removal },
+      duplicates: plan.duplicates,
+      dryRun: true,
+      changes
+    };
+  }
+
+  // Markers are written together with the updates, in the same batch
+  if (removal === "mark") {
+    rowsToRemove.forEach((rowIndex) => {
+      plan.existingUpdates.push({ rowIndex, rowObject: { [statusColumn]: statusValue } });
+    });
+  }
+
+  const updatedRows = applyUpsertUpdates(sheet, plan).filter((row) => removedRows.indexOf(row) === -1);
+  const insertedRows = appendUpsertRecords(sheet, plan);
+
+  if (removal === "clear") {
+    // Blank the cells of the removed rows, leaving cells with a formula (e.g. calculated columns) alone
+    const blankRows = sheetData.map((row) => row.map(() => ""));
+    const changedCells = new Map();
+    getContiguousRuns(rowsToRemove).forEach(({ start, end }) => {
+      const formulas = sheet.getRange(startRowIndex + start, 1, end - start + 1, headers.length).getFormulas();
+      formulas.forEach((rowFormulas, i) => {
+        changedCells.set(start + i, new Set(rowFormulas.map((formula, j) => formula ? -1 : j).filter((j) => j !== -1)));
+      });
+    });
+    writeChangedRows(sheet, blankRows, changedCells, startRowIndex);
+  } else if (removal === "delete") {
+    // Delete from the bottom up so earlier row numbers stay valid
+    getContiguousRuns(rowsToRemove).reverse().forEach(({ start, end }) => {
+      sheet.deleteRows(startRowIndex + start, end - start + 1);
+    });
+  }
+
+  Logger.log(`Sync removed ${removedRows.length} rows (${removal}).`);
+  SpreadsheetApp.flush(); // Ensure changes are applied immediately
+
+  return {
+    ...buildUpsertSummary(updatedRows, insertedRows, plan.skippedRecords, plan.incompleteKeys),
+    removed: { count: removedRows.length, rows: removedRows, mode: removal },
+    duplicates: plan.duplicates,
+    dryRun: false
+  };
+}
@@ -0,0 +1,61 @@
+/**
+ * Wraps a sheet so that its rows read as columns and its columns as rows. The row-wise write
+ * functions use it to handle pivot layouts (one record per column, property names down one column):
+ * row numbers passed to the wrapper are sheet columns, and column numbers are sheet rows.
+ *
+ * Only the Sheet and Range methods used by the write functions in this library are supported.
+ *
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The sheet to wrap. Reads and writes go straight to it.
+ * @return {Object} - The transposed sheet.
+ */
+function createTransposedSheet(sheet) {
+  function transpose(grid) {
+    return grid.length === 0 ? [] : grid[0].map((_, j) => grid.map(gridRow => gridRow[j]));
+  }
+
+  function createRange(row, column, numRows = 1, numColumns = 1) {
+    const target = sheet.getRange(column, row, numColumns, numRows);
+    const range = {
+      getRow: () => row,
+      getColumn: () => column,
+      getNumRows: () => numRows,
+      getNumColumns: () => numColumns,
+      getValues: () => transpose(target.getValues()),
+      getDisplayValues: () => transpose(target.getDisplayValues()),
+      getFormulas: () => transpose(target.getFormulas()),
+      setValues(values) {
+        target.setValues(transpose(values));
+        return range;
+      },
+      setValue(value) {
+        target.setValue(value);
+        return range;
+      },
+      setFormulas(formulas) {
+        target.setFormulas(transpose(formulas));
+        return range;
+      },
+      setFormula(formula) {
+        target.setFormula(formula);
+        return range;
+      },
+      clearContent() {
+        target.clearContent();
+        return range;
+      }
+    };
+    return range;
+  }
+
+  return {
+    getName: () => sheet.getName(),
+    getParent: () => sheet.getParent(),
+    getLastRow: () => sheet.getLastColumn(),
+    getLastColumn: () => sheet.getLastRow(),
+    getRange: createRange,
+    getDataRange: () => createRange(1, 1, Math.max(sheet.getLastColumn(), 1), Math.max(sheet.getLastRow(), 1)),
+    deleteRows: (column, howMany) => sheet.deleteColumns(column, howMany),
+    insertRowsBefore: (column, howMany) => sheet.insertColumnsBefore(column, howMany),
+    insertColumnsBefore: (row, howMany) => sheet.insertRowsBefore(row, howMany)
+  };
+}
@@ -0,0 +1,128 @@
+/**
+ * Normalises a schema definition so that every entry is a field definition object.
+ * Shorthand entries such as { Amount: "number" } become { Amount: { type: "number" } }.
+ *
+ * Supported field settings:
+ *   - type: "string" (default), "number", "integer", "boolean", "date", "enum" or "email".
+ *   - required: if true, an empty cell is reported as an error.
+ *   - default: value used when the cell is empty.
+ *   - values: list of allowed values (required for the "enum" type).
+ *   - trim: set to false to keep surrounding whitespace on strings (default is true).
+ *
+ * @param {Object} schema - Map of header name to a type name or a field definition.
+ * @return {Object} - Map of header name to a normalised field definition.
+ */
+function normaliseSchema(schema) {
+  const supportedTypes = ["string", "number", "integer", "boolean", "date", "enum", "email"];
+  const normalised = {};
+
+  Object.keys(schema).forEach(header => {
+    const definition = schema[header];
+    const field = typeof definition === "string" ? { type: definition } : { ...definition };
+    field.type = field.type || "string";
+
+    if (supportedTypes.indexOf(field.type) === -1) {
+      throw new Error(`Unknown schema type '${field.type}' for header '${header}'. Use one of: ${supportedTypes.join(", ")}.`);
+    }
+    if (field.type === "enum" && !Array.isArray(field.values)) {
+      throw new Error(`Schema field '${header}' is an enum and needs a 'values' array.`);
+    }
+
+    normalised[header] = field;
+  });
+
+  return normalised;
+}
+
+/**
+ * Coerces a single cell value to the type described by a schema field.
+ *
+ * @param {*} value - The raw cell value, as returned by getValues().
+ * @param {Object} field - A normalised schema field (see normaliseSchema).
+ * @param {string} [displayValue] - The displayed text of the cell, used when a date is read as a string.
+ * @return {{value: *, empty: boolean, error: (string|null)}} - The coerced value, whether the cell
+ *         was empty (and had no default), and an error message if the value is invalid.
+ */
+function coerceSchemaValue(value, field, displayValue) {
+  const trim = field.trim !== false;
+
+  if (typeof value === "string" && trim) {
+    value = value.trim();
+  }
+
+  // Empty cells: use the default, report a missing required value, or flag as empty
+  if (value === "" || value === null || value === undefined) {
+    if (field.default !== undefined) {
+      return { value: field.default, empty: false, error: null };
+    }
+    if (field.required) {
+      return { value: null, empty: true, error: "Value is required" };
+    }
+    return { value: null, empty: true, error: null };
+  }
+
+  const isDate = Object.prototype.toString.call(value) === "[object Date]";
+
+  switch (field.type) {
+    case "string": {
+      const text = isDate && displayValue !== undefined ? displayValue : String(value);
+      return { value: trim ? text.trim() : text, empty: false, error: null };
+    }
+
+    case "number":
+    case "integer": {
+      let number = NaN;
+      if (typeof value === "number") {
+        number = value;
+      } else if (typeof value === "string") {
+        // Allow spaces used as thousands separators, e.g. "1 250.50"
+        number = Number(value.replace(/\s/g, ""));
+      }
+      if (isNaN(number)) {
+        return { value: null, empty: false, error: `Expected a number but got '${value}'` };
+      }
+      if (field.type === "integer" && !Number.isInteger(number)) {
+        return { value: null, empty: false, error: `Expected an integer but got '${value}'` };
+      }
+      return { value: number, empty: false, error: null };
+    }
+
+    case "boolean": {
+      if (typeof value === "boolean") {
+        return { value: value, empty: false, error: null };
+      }
+      const text = String(value).trim().toLowerCase();
+      if (["true", "yes", "y", "1", "x"].indexOf(text) !== -1) {
+        return { value: true, empty: false, error: null };
+      }
+      if (["false", "no", "n", "0"].indexOf(text) !== -1) {
+        return { value: false, empty: false, error: null };
+      }
+      return { value: null, empty: false, error: `Expected a boolean but got '${value}'` };
+    }
+
+    case "date": {
+      const date = isDate ? value : (typeof value === "string" ? new Date(value) : null);
+      if (!date || isNaN(date.getTime())) {
+        return { value: null, empty: false, error: `Expected a date but got '${value}'` };
+      }
+      return { value: date, empty: false, error: null };
+    }
+
+    case "enum": {
+      const match = field.values.find(allowed => String(allowed) === String(value));
+      if (match === undefined) {
+        return { value: null, empty: false, error: `Expected one of ${field.values.join(", ")} but got '${value}'` };
+      }
+      return { value: match, empty: false, error: null };
+    }
+
+    case "email": {
+      const email = String(value).trim();
+      if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+        return { value: null, empty: false, error: `Expected an email address but got '${value}'` };
+      }
+      return { value: email, empty: false, error: null };
+    }
+  }
+}
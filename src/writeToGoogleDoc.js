@@ -23,164 +23,421 @@
  * Note:
  * - The function only replaces placeholders if a corresponding value is found in the data object
  *   and the value is not null/undefined.
- * - This approach allows dynamic content insertion into documents by replacing predefined placeholders
- *   with actual data.
- * - Ensure that your placeholders are unique within your document to avoid unintended replacements.
+ * - Only whole "{{key}}" tokens are replaced (spaces inside the braces are ignored), so "{{name}}" never
+ *   touches "{{username}}". Keys and values may contain any character, including "$" and "\".
+ *   Keys written with braces, e.g. { "{{name}}": "Ada" }, still work but log a warning.
+ * - The body, all headers and footers (including first-page and even-page ones) and footnotes are filled.
+ * - Placeholders can format their value with filters, e.g. "{{total|currency:EUR}}", "{{due|dd.MM.yyyy}}"
+ *   or "{{name|upper}}" (see docPlaceholders.js for the full list). An unknown filter throws an error.
+ * - Paragraphs between "{{#if key}}" / "{{else}}" / "{{/if}}" tags are kept or removed, and paragraphs between
+ *   "{{#each key}}" / "{{/each}}" are repeated for each item of an array (see docBlocks.js).
  * - The document is saved and closed after all replacements are made.
+ *
+ * @param {Object} [options] - Defaults for the filters.
+ * @param {string} [options.locale="en-US"] - Locale for the currency and number filters.
+ * @param {string} [options.currency="USD"] - Currency code for the currency filter.
+ * @param {string} [options.timeZone] - Time zone for dates, e.g. SpreadsheetApp.getActive().getSpreadsheetTimeZone().
+ *                                      Defaults to the script time zone (appsscript.json).
+ * @return {{filled: string[], missing: string[], unresolved: string[]}} - The keys that were filled, the keys
+ *         found in the document with no value in the data object, and the tokens still in the document
+ *         afterwards (e.g. "{{missingKey}}").
  */
 
-function populatePlaceholdersInDocument(docId, replacements) {
+function populatePlaceholdersInDocument(docId, replacements, options = {}) {
+  replacements = stripPlaceholderBraces(replacements);
   var doc = DocumentApp.openById(docId);
-  var body = doc.getBody();
+  var sections = getDocumentSections(doc);
+  var filled = [];
+  var missing = [];
+
+  // Expand {{#if}} and {{#each}} blocks first, so their copies are filled below
+  sections.forEach(function(section) {
+    renderBlocksInElement(section, replacements, options);
+  });
 
   // Replace each placeholder with its corresponding value, if the value is not null/undefined
-  for (var placeholder in replacements) {
-    if (replacements[placeholder] !== null && replacements[placeholder] !== undefined) {
-      body.replaceText(placeholder, replacements[placeholder]);
-    }
+  sections.forEach(function(section) {
+    var result = fillPlaceholdersInElement(section, function(content) {
+      return resolvePlaceholder(content, replacements, options);
+    });
+    result.filled.forEach(function(key) {
+      if (filled.indexOf(key) === -1) filled.push(key);
+    });
+    result.missing.forEach(function(key) {
+      if (missing.indexOf(key) === -1) missing.push(key);
+    });
+  });
+
+  // List what is left, e.g. placeholders with a typo
+  var unresolved = [];
+  sections.forEach(function(section) {
+    findPlaceholders(section).forEach(function(token) {
+      if (unresolved.indexOf(token) === -1) unresolved.push(token);
+    });
+  });
+  if (unresolved.length > 0) {
+    Logger.log("Warning: Placeholders left in the document: " + unresolved.join(", "));
   }
 
   // Save and close the document
   doc.saveAndClose();
+  return { filled: filled, missing: missing, unresolved: unresolved };
 }
 
 /**
- * Populates a table within a Google Docs document with specified data. The function
- * targets a table identified by a unique tag placed in the second row, first column of the table.
+ * Populates tables within a Google Docs document with specified data. The function targets every
+ * table with a row carrying a unique tag, e.g. "{{sessions}}", and replaces that template row with
+ * one row per data item.
  * 
- * @param {string} docId - The ID of the Google Docs document where the table is located.
- * @param {Array<Array<string | number>>} data - An array of arrays, where each inner array represents
- *                                                a row of data to be added to the table. Each element
- *                                                in an inner array represents a cell's content in that row.
- *                                                Contents can be strings or numbers.
- * @param {string} tag - The unique tag that identifies the target table. The tag should be placed
- *                       in the second row, first column of the table and enclosed in double curly braces
- *                       in the document itself, e.g., "{{sessions}}". However, when calling this function,
- *                       the tag should be provided without curly braces, e.g., "sessions".
+ * @param {string} docId - The ID of the Google Docs document where the tables are located.
+ * @param {Array<Object>|Array<Array<string | number>>} data - The rows to add, either as objects or as arrays.
+ *        - Objects: each cell of the template row is filled from its own placeholders, e.g. "{{name}}" or
+ *          "{{amount|currency}}" (filters as in populatePlaceholdersInDocument), so columns can come in any
+ *          order and cells can mix fixed text with values.
+ *        - Arrays: each inner array holds the cell contents of one row, in column order. Contents can be
+ *          strings or numbers.
+ * @param {string} tag - The unique tag that identifies the template row. The tag should be placed in
+ *                       any cell of the template row and enclosed in double curly braces in the document
+ *                       itself, e.g., "{{sessions}}". However, when calling this function, the tag should
+ *                       be provided without curly braces, e.g., "sessions".
+ * @param {Object} [options] - Optional settings.
+ * @param {string} [options.locale="en-US"] - Locale for the currency and number filters.
+ * @param {string} [options.currency="USD"] - Currency code for the currency filter.
+ * @param {string} [options.timeZone] - Time zone for dates. Defaults to the script time zone (appsscript.json).
+ * @param {string|number} [options.groupBy] - Field (or, for arrays, column index) to group rows by. Groups keep
+ *                                            the order in which they first appear.
+ * @param {boolean} [options.subtotals=true when grouping] - Add a subtotal row after each group.
+ * @param {boolean} [options.grandTotal] - Add a total row after all rows. On by default when the table has a
+ *                                         total row template.
+ * @param {Array<string|number>} [options.totals] - Fields (or column indices) to sum. Defaults to every field
+ *                                                  whose values are all numbers.
+ * @param {string} [options.totalLabel="Total"] - Label of the total row.
+ * @param {string} [options.subtotalLabel="Subtotal"] - Label of subtotal rows, followed by the group value.
  * 
  * Usage:
- * 1. Prepare your Google Docs document by inserting a table. Place a unique tag, e.g., "{{sessions}}",
- *    in the second row's first cell of the table you wish to populate.
- * 2. Structure your data according to the expected format. For example, to add two rows of data into the
- *    table, where the first row has three columns and the second row has two, your data parameter should look
- *    like this: [['Row1Col1', 'Row1Col2', 'Row1Col3'], ['Row2Col1', 'Row2Col2']].
+ * 1. Prepare your Google Docs document by inserting a table. Below the header row, add a template row
+ *    with the tag, e.g. "{{sessions}}", in one of its cells, and either a placeholder per cell
+ *    ("{{sessions}}{{date}}", "{{topic}}", "{{hours|number:1}}") or nothing else.
+ * 2. Structure your data according to the template. For example, objects such as
+ *    [{ date: '01.02.2025', topic: 'Kick-off', hours: 2 }], or arrays in column order such as
+ *    [['Row1Col1', 'Row1Col2', 'Row1Col3'], ['Row2Col1', 'Row2Col2']].
  * 3. Call the populateTableInDocument function with the document ID, the structured data, and the tag (without braces).
- *    For instance: populateTableInDocument('1a2b3c', [['John Doe', 'Developer', 5000], ['Jane Doe', 'Manager']], 'sessions');
+ *    For instance: populateTableInDocument('1a2b3c', [{ date: '01.02.2025', topic: 'Kick-off', hours: 2 }], 'sessions');
  * 
  * Note:
- * - The tag row will be removed after the table is identified.
+ * - The template row is removed after the table is populated.
+ * - Tables in the body, the header and the footer, and tables nested in table cells, are all populated.
+ * - New rows are copies of the template row, so every cell keeps its own formatting and alignment.
+ * - Subtotal and total rows copy a row tagged "{{tag:total}}" (e.g. "{{sessions:total}}") if the table has one.
+ *   Its placeholders are filled with the sums, the group value (under the groupBy field and "_group"), the
+ *   label ("_label") and the number of rows ("_count"), e.g. "{{_label}} {{_group}}" and "{{hours|number:1}}".
+ *   With array data, the columns are filled through "{{0}}", "{{1}}", … (the first column holds the label
+ *   unless it is summed).
+ *   Without one, they copy the template row in bold, with the label in the first cell. All rows are inserted
+ *   where the template row was.
  * - If no table with the specified tag is found, a log message will be generated.
- * - In each row, the text in the last column will be aligned to the right.
+ * - Errors, e.g. an unknown filter, are thrown; tables populated before the error keep their new rows.
+ *
+ * @return {{tables: number, rows: number, missing: string[]}} - The number of tables populated and of rows
+ *         inserted, and the placeholder keys of object rows that had no value in their object (left as they are).
  */
 
 
-function populateTableInDocument(docId, data, tag) {
-  try {
-    // Start timing for performance monitoring (optional)
-    const startTime = new Date();
-    
-    // Open the document and get the body
-    const doc = DocumentApp.openById(docId);
-    const body = doc.getBody();
-    
-    // Retrieve all tables in the document once
-    const tables = body.getTables();
-    
-    let targetTable = null;
-    let tagRow = null;
-    let tagRowIndex = -1;
-    const tagRowAttributes = [];
-
-    // Step 1: Locate the target table and tag row
-    for (let i = 0; i < tables.length; i++) {
-      const table = tables[i];
-      // Check if the table has at least two rows (header and tag)
-      if (table.getNumRows() > 1) {
-        const potentialTagRow = table.getRow(1);
-        const tagCell = potentialTagRow.getCell(0);
-        const tagCellText = tagCell.getText();
-        
-        if (tagCellText.includes(tag)) {
-          targetTable = table;
-          tagRow = potentialTagRow;
-          tagRowIndex = 1; // Since it's the second row (0-based indexing)
-          break; // Exit loop once the target table is found
-        }
+function populateTableInDocument(docId, data, tag, options = {}) {
+  // Start timing for performance monitoring (optional)
+  const startTime = new Date();
+
+  // Open the document and collect the tables of every section, nested tables included
+  const doc = DocumentApp.openById(docId);
+  const tables = [];
+  getDocumentSections(doc).forEach(section => findTablesInElement(section, tables));
+  const tagPattern = escapeRegExp(`{{${tag}}}`);
+
+  // Step 1: Locate the template row of each table carrying the tag
+  const targets = [];
+  tables.forEach(table => {
+    for (let r = 0; r < table.getNumRows(); r++) {
+      if (rowCarriesTag(table.getRow(r), tagPattern)) {
+        targets.push({ table, templateRowIndex: r });
+        break; // One template row per table
       }
     }
+  });
 
-    // Exit early if the target table or tag row isn't found
-    if (!targetTable || !tagRow) {
-      Logger.log('Table with specified tag not found.');
-      doc.saveAndClose();
-      return;
-    }
+  // Exit early if no table carries the tag
+  if (targets.length === 0) {
+    Logger.log('Table with specified tag not found.');
+    doc.saveAndClose();
+    return { tables: 0, rows: 0, missing: [] };
+  }
 
-    // Step 2: Extract formatting attributes from the tag row
-    const numCells = tagRow.getNumCells();
-    for (let c = 0; c < numCells; c++) {
-      const cell = tagRow.getCell(c);
-      const cellAttributes = cell.getAttributes();
-      const paragraph = cell.getChild(0).asParagraph();
-      const paragraphAttributes = paragraph.getAttributes();
-      
-      // Store both cell and paragraph attributes
-      tagRowAttributes.push({
-        cell: cellAttributes,
-        paragraph: paragraphAttributes
-      });
+  const totalPattern = escapeRegExp(`{{${tag}:total}}`);
+  let insertedRows = 0;
+  const missing = [];
+
+  // Nested tables come after the table around them, so go backwards: a tagged table inside a template row
+  // is populated before that row is copied, and is never left detached from the document
+  targets.reverse().forEach(({ table, templateRowIndex }) => {
+    // Step 2: Keep a copy of the template row (and of the total row, if the table has one) and remove them
+    const templateRow = table.getRow(templateRowIndex).copy();
+    let totalRow = null;
+    for (let r = table.getNumRows() - 1; r >= 0 && !totalRow; r--) {
+      if (rowCarriesTag(table.getRow(r), totalPattern)) {
+        totalRow = table.getRow(r).copy();
+        table.removeRow(r);
+        if (r < templateRowIndex) templateRowIndex--;
+      }
     }
+    table.removeRow(templateRowIndex);
+
+    // Step 3: Insert one copy of the template row per data item, followed by any subtotal and total rows
+    const rows = buildTableRowsWithTotals(data, options, totalRow !== null);
+    rows.forEach((row, rowOffset) => {
+      if (row.kind === "data") {
+        const newRow = table.insertTableRow(templateRowIndex + rowOffset, templateRow.copy());
+        fillTableRow(newRow, row.values, tagPattern, options).forEach(key => {
+          if (missing.indexOf(key) === -1) missing.push(key);
+        });
+      } else {
+        const newRow = table.insertTableRow(templateRowIndex + rowOffset, (totalRow || templateRow).copy());
+        fillTotalRow(newRow, row, [tagPattern, totalPattern], options, totalRow !== null);
+      }
+    });
+    insertedRows += rows.length;
+  });
+
+  // Optional: Log the number of rows inserted
+  Logger.log(`${insertedRows} rows inserted successfully in ${targets.length} tables.`);
+  if (missing.length > 0) {
+    Logger.log(`Warning: Table placeholders with no value: ${missing.join(", ")}`);
+  }
 
-    // Step 3: Determine the insertion point (right after the tag row)
-    const insertionIndex = tagRowIndex; // Since the tag row will be removed, this is the correct insertion point
+  // End timing and log execution time (optional)
+  const endTime = new Date();
+  const timeDiff = (endTime - startTime) / 1000; // in seconds
+  Logger.log(`populateTableInDocument executed in ${timeDiff} seconds.`);
+
+  // Save and close the document to apply changes
+  doc.saveAndClose();
+  return { tables: targets.length, rows: insertedRows, missing };
+}
 
-    // Step 4: Remove the tag row in a single call
-    targetTable.removeRow(tagRowIndex);
+/**
+ * Orders the data for populateTableInDocument and adds the subtotal and total rows asked for.
+ *
+ * @param {Array<Object>|Array<Array>} data - The data items.
+ * @param {Object} options - The options of populateTableInDocument (groupBy, subtotals, grandTotal, totals,
+ *                           totalLabel and subtotalLabel are used).
+ * @param {boolean} hasTotalRow - Whether the table has a total template row, which turns grandTotal on by default.
+ * @return {Array<{kind: string, values: (Object|Array), label: string, info: Object}>} - The rows in table order,
+ *         where kind is "data", "subtotal" or "total", and info holds { _label, _group, _count } for totals.
+ */
+function buildTableRowsWithTotals(data, options, hasTotalRow) {
+  const {
+    groupBy = null,
+    subtotals = groupBy !== null,
+    grandTotal = hasTotalRow,
+    totals = null,
+    totalLabel = "Total",
+    subtotalLabel = "Subtotal"
+  } = options;
+
+  if (groupBy === null && !grandTotal) {
+    return data.map(values => ({ kind: "data", values }));
+  }
 
-    // Step 5: Prepare all new rows first to minimize DOM interactions
-    const newRows = data.map(rowData => {
-      // Create a new row object with cell data
-      return rowData.map(cellData => cellData.toString());
+  const isArrayData = data.length > 0 && Array.isArray(data[0]);
+  const isEmpty = value => value === "" || value === null || value === undefined;
+
+  // Sum the given fields (columns), or every field whose values are all numbers
+  let fields = totals;
+  if (fields === null) {
+    fields = [];
+    data.forEach(item => Object.keys(item).forEach(field => {
+      const key = isArrayData ? Number(field) : field;
+      if (fields.indexOf(key) === -1) fields.push(key);
+    }));
+    fields = fields.filter(field => field !== groupBy
+      && data.some(item => typeof item[field] === "number")
+      && data.every(item => isEmpty(item[field]) || typeof item[field] === "number"));
+  }
+
+  // Helper: A subtotal or total row over some items.
+  function makeTotal(kind, items, group) {
+    const label = kind === "total" ? totalLabel : `${subtotalLabel} ${group}`;
+    const info = { _label: kind === "total" ? totalLabel : subtotalLabel, _group: group, _count: items.length };
+    const sums = fields.map(field => {
+      const sum = items.reduce((total, item) => isEmpty(item[field]) || isNaN(Number(item[field])) ? total : total + Number(item[field]), 0);
+      return Math.round(sum * 1e10) / 1e10; // Avoid floating point noise such as 0.30000000000000004
     });
 
-    // Step 6: Insert all new rows at the insertion index
-    newRows.forEach((rowData, rowOffset) => {
-      const currentIndex = insertionIndex + rowOffset;
-      const newRow = targetTable.insertTableRow(currentIndex);
-      
-      // Add cells to the new row
-      rowData.forEach((cellData, colIndex) => {
-        // Create a new cell with data
-        const newCell = newRow.appendTableCell(cellData);
-        
-        // Apply cell-level attributes
-        newCell.setAttributes(tagRowAttributes[colIndex].cell);
-        
-        // Apply paragraph-level attributes
-        const newParagraph = newCell.getChild(0).asParagraph();
-        newParagraph.setAttributes(tagRowAttributes[colIndex].paragraph);
-        
-        // **Removed Alignment Logic**
-        // Previously, the last column was right-aligned. This has been removed as per the new requirement.
-        if (colIndex === rowData.length - 1) {
-          newParagraph.setAlignment(DocumentApp.HorizontalAlignment.RIGHT);
-        }
+    if (isArrayData) {
+      const width = Math.max(...data.map(item => item.length));
+      const values = new Array(width).fill("");
+      if (fields.indexOf(0) === -1) values[0] = label;
+      fields.forEach((field, index) => {
+        values[field] = sums[index];
       });
+      return { kind, values, label, info };
+    }
+
+    const values = { ...info };
+    if (kind === "subtotal") values[groupBy] = group;
+    fields.forEach((field, index) => {
+      values[field] = sums[index];
     });
+    return { kind, values, label, info };
+  }
 
-    // Optional: Log the number of rows inserted
-    Logger.log(`${newRows.length} rows inserted successfully.`);
+  const rows = [];
+  if (groupBy === null) {
+    data.forEach(values => rows.push({ kind: "data", values }));
+  } else {
+    // Groups keep the order in which they first appear; 1 and "1" are different groups
+    const groups = new Map();
+    data.forEach(item => {
+      const key = typeof item[groupBy] + ":" + String(item[groupBy]);
+      if (!groups.has(key)) groups.set(key, { value: item[groupBy], items: [] });
+      groups.get(key).items.push(item);
+    });
+    groups.forEach(({ value, items }) => {
+      items.forEach(values => rows.push({ kind: "data", values }));
+      if (subtotals) rows.push(makeTotal("subtotal", items, value));
+    });
+  }
+  if (grandTotal) rows.push(makeTotal("total", data, ""));
+  return rows;
+}
 
-    // End timing and log execution time (optional)
-    const endTime = new Date();
-    const timeDiff = (endTime - startTime) / 1000; // in seconds
-    Logger.log(`populateTableInDocument executed in ${timeDiff} seconds.`);
+/**
+ * Fills a copy of the total template row (or, without one, of the template row) with a subtotal or total.
+ * Placeholders with no value are emptied. A total template row is always filled through its placeholders,
+ * with array totals available as "{{0}}", "{{1}}", … Rows copied from the template row are made bold, and
+ * get the label in their first cell if it is empty.
+ *
+ * @param {TableRow} row - The new row.
+ * @param {{values: (Object|Array), label: string, info: Object}} total - The total, from buildTableRowsWithTotals.
+ * @param {string[]} tagPatterns - The tags to remove, as replaceText patterns.
+ * @param {Object} options - Filter defaults, see resolvePlaceholder.
+ * @param {boolean} fromTotalRow - Whether the row is a copy of the total template row.
+ */
+function fillTotalRow(row, total, tagPatterns, options, fromTotalRow) {
+  tagPatterns.forEach(pattern => row.replaceText(pattern, ""));
+
+  if (Array.isArray(total.values) && !fromTotalRow) {
+    fillTableRow(row, total.values, tagPatterns[0], options);
+  } else {
+    const values = Array.isArray(total.values) ? { ...total.info, ...total.values } : total.values;
+    fillPlaceholdersInElement(row, content => {
+      const value = resolvePlaceholder(content, values, options);
+      return value === null || value === undefined ? "" : value;
+    });
+  }
 
-    // Save and close the document to apply changes
-    doc.saveAndClose();
-  } catch (error) {
-    Logger.log(`Error in populateTableInDocument: ${error.message}`);
+  if (!fromTotalRow) {
+    if (row.getCell(0).getText() === "") setCellText(row.getCell(0), total.label);
+    row.editAsText().setBold(true);
+  }
+}
+
+/**
+ * Fills a copy of a template row with one data item and removes the tag.
+ *
+ * @param {TableRow} row - The new row, a copy of the template row.
+ * @param {Object|Array} rowData - An object filling the cell placeholders, or the cell contents in column order.
+ * @param {string} tagPattern - The tag as a findText/replaceText pattern.
+ * @param {Object} options - Filter defaults, see resolvePlaceholder.
+ * @return {string[]} - The placeholder keys with no value in the object (always empty for arrays).
+ */
+function fillTableRow(row, rowData, tagPattern, options) {
+  row.replaceText(tagPattern, "");
+
+  if (!Array.isArray(rowData)) {
+    return fillPlaceholdersInElement(row, content => resolvePlaceholder(content, rowData, options)).missing;
+  }
+
+  // Arrays: the text of each cell is replaced (cells past the end of the array are emptied)
+  for (let colIndex = 0; colIndex < Math.max(rowData.length, row.getNumCells()); colIndex++) {
+    const cellData = rowData[colIndex];
+    const text = cellData === null || cellData === undefined ? "" : cellData.toString();
+    if (colIndex >= row.getNumCells()) {
+      row.appendTableCell(text);
+      continue;
+    }
+    setCellText(row.getCell(colIndex), text);
+  }
+  return [];
+}
+
+/**
+ * Replaces the content of a table cell with text, keeping the cell's first paragraph (or list item) and
+ * its formatting. A cell holding neither, e.g. one that only holds a table, is set as plain text.
+ *
+ * @param {TableCell} cell - The cell.
+ * @param {string} text - The new text.
+ */
+function setCellText(cell, text) {
+  let keptIndex = -1;
+  for (let i = 0; i < cell.getNumChildren() && keptIndex === -1; i++) {
+    const type = cell.getChild(i).getType();
+    if (type === DocumentApp.ElementType.PARAGRAPH || type === DocumentApp.ElementType.LIST_ITEM) keptIndex = i;
+  }
+  if (keptIndex === -1) {
+    cell.setText(text);
+    return;
+  }
+  // Remove the other children from the end, so the kept child's index stays valid
+  for (let i = cell.getNumChildren() - 1; i >= 0; i--) {
+    if (i !== keptIndex) cell.getChild(i).removeFromParent();
+  }
+  cell.getChild(0).asText().setText(text);
+}
+
+/**
+ * Checks whether a row holds the tag in its own cells, rather than only in a table nested in them.
+ *
+ * @param {TableRow} row - The row to search.
+ * @param {string} tagPattern - The tag as a findText pattern.
+ * @return {boolean} - True if the tag is in one of the row's own cells.
+ */
+function rowCarriesTag(row, tagPattern) {
+  // Helper: The number of tables around an element.
+  function countTables(element) {
+    let count = 0;
+    for (let parent = element.getParent(); parent; parent = parent.getParent()) {
+      if (parent.getType() === DocumentApp.ElementType.TABLE) count++;
+    }
+    return count;
+  }
+
+  const rowDepth = countTables(row);
+  for (let found = row.findText(tagPattern); found; found = row.findText(tagPattern, found)) {
+    if (countTables(found.getElement()) === rowDepth) return true;
+  }
+  return false;
+}
+
+/**
+ * Collects the tables inside an element, in document order, including tables nested in table cells.
+ *
+ * @param {Element} element - A section, a table cell or any other container element.
+ * @param {Table[]} [tables=[]] - The list to add the tables to.
+ * @return {Table[]} - The tables.
+ */
+function findTablesInElement(element, tables = []) {
+  for (let i = 0; i < element.getNumChildren(); i++) {
+    const child = element.getChild(i);
+    if (child.getType() === DocumentApp.ElementType.TABLE) {
+      const table = child.asTable();
+      tables.push(table);
+      for (let r = 0; r < table.getNumRows(); r++) {
+        for (let c = 0; c < table.getRow(r).getNumCells(); c++) {
+          findTablesInElement(table.getRow(r).getCell(c), tables);
+        }
+      }
+    }
   }
+  return tables;
 }
 
 // /**
@@ -0,0 +1,120 @@
+/**
+ * Counts the sheet API calls of the batched writes. Run with: node --test test/*.test.js
+ */
+const test = require("node:test");
+const assert = require("node:assert");
+const { FakeSheet, loadScripts } = require("./fakeSheet");
+
+const scripts = loadScripts();
+
+/** A sheet with headers in row 1, a description row and `count` data rows **/
+function makeSheet(count) {
+  const rows = [["Id", "Name", "Total", "Note"], ["Key", "Full name", "Calculated", "Free text"]];
+  for (let i = 1; i <= count; i++) rows.push([i, `Name ${i}`, i * 10, ""]);
+  return new FakeSheet("Data", rows);
+}
+
+test("writeChangedRows writes one rectangle per run of rows with the same changed columns", () => {
+  const sheet = makeSheet(6);
+  const values = sheet.rows.slice(2).map(row => row.slice());
+  const changedCells = new Map();
+  [0, 1, 2].forEach(i => {
+    values[i][1] = "changed";
+    changedCells.set(i, new Set([1]));
+  });
+  values[4][1] = "changed";
+  values[4][3] = "note";
+  changedCells.set(4, new Set([1, 3]));
+  sheet.resetCalls();
+
+  const writes = scripts.writeChangedRows(sheet, values, changedCells, 3);
+
+  // Rows 3-5 column B, then row 7 columns B and D (not C between them)
+  assert.strictEqual(writes, 3);
+  assert.strictEqual(sheet.calls.setValues, 3);
+  assert.strictEqual(sheet.calls.getRange, 3);
+  assert.strictEqual(sheet.calls.getValues, 0);
+  assert.deepStrictEqual(sheet.rows[6], [5, "changed", 50, "note"]);
+});
+
+test("upsertRows reads the sheet once and batches the writes, however many rows change", () => {
+  const sheet = makeSheet(200);
+  const data = [];
+  for (let i = 1; i <= 100; i++) data.push({ Id: i, Name: `Renamed ${i}` });
+  for (let i = 201; i <= 250; i++) data.push({ Id: i, Name: `Name ${i}`, Total: i * 10 });
+  sheet.resetCalls();
+
+  const summary = scripts.upsertRows(sheet, data, "Id", 1, 3);
+
+  assert.strictEqual(summary.updated.count, 100);
+  assert.strictEqual(summary.inserted.count, 50);
+  // Reads: the headers (by ensureHeaders and planUpsert), the data, and the data range to find the append row.
+  // Writes: one update rectangle (rows 3-102, column B) and one append.
+  assert.ok(sheet.calls.getRange <= 6, `getRange called ${sheet.calls.getRange} times`);
+  assert.ok(sheet.calls.getValues <= 4, `getValues called ${sheet.calls.getValues} times`);
+  assert.ok(sheet.calls.setValues <= 2, `setValues called ${sheet.calls.setValues} times`);
+  assert.strictEqual(sheet.getLastRow(), 252);
+  assert.deepStrictEqual(sheet.rows[251], [250, "Name 250", 2500, ""]);
+});
+
+test("upsertRows leaves untouched columns alone", () => {
+  const sheet = makeSheet(3);
+  sheet.rows[3][2] = "=B4&\"!\"";
+  sheet.resetCalls();
+
+  scripts.upsertRows(sheet, [{ Id: 2, Name: "Two" }], "Id", 1, 3);
+
+  assert.deepStrictEqual(sheet.rows[3], [2, "Two", "=B4&\"!\"", ""]);
+  assert.strictEqual(sheet.calls.setValues, 1);
+});
+
+test("objectsToSheetV2 overwrite keeps formula cells and writes the block once", () => {
+  const sheet = makeSheet(200);
+  for (let r = 3; r <= 202; r++) sheet.rows[r - 1][2] = `=A${r}*10`;
+  const data = [];
+  for (let i = 1; i <= 150; i++) data.push({ Id: i, Name: `New ${i}` });
+  sheet.resetCalls();
+
+  scripts.objectsToSheetV2(data, sheet, 1, 3);
+
+  assert.deepStrictEqual(sheet.rows[2], [1, "New 1", "=A3*10", ""]);
+  // Rows past the data are cleared, but their formulas stay
+  assert.deepStrictEqual(sheet.rows[201], ["", "", "=A202*10", ""]);
+  assert.ok(sheet.calls.getRange <= 4, `getRange called ${sheet.calls.getRange} times`);
+  assert.ok(sheet.calls.setValues <= 1, `setValues called ${sheet.calls.setValues} times`);
+});
+
+test("objectsToSheetV2 overlay keeps formulas in cells the objects do not set", () => {
+  const sheet = makeSheet(100);
+  for (let r = 3; r <= 102; r++) sheet.rows[r - 1][2] = `=A${r}*10`;
+  const data = [];
+  for (let i = 1; i <= 100; i++) data.push(i === 2 ? { Note: "fixed", Total: 5 } : { Note: `Note ${i}` });
+  sheet.resetCalls();
+
+  scripts.objectsToSheetV2(data, sheet, 1, 3, { mode: "overlay", preserveFormulas: true });
+
+  assert.deepStrictEqual(sheet.rows[2], [1, "Name 1", "=A3*10", "Note 1"]);
+  // A value given for a formula cell replaces the formula
+  assert.deepStrictEqual(sheet.rows[3], [2, "Name 2", 5, "fixed"]);
+  assert.deepStrictEqual(sheet.rows[101], [100, "Name 100", "=A102*10", "Note 100"]);
+  assert.ok(sheet.calls.getRange <= 4, `getRange called ${sheet.calls.getRange} times`);
+  assert.ok(sheet.calls.setValues <= 1, `setValues called ${sheet.calls.setValues} times`);
+});
+
+test("objectsToSheetV2 pivot writes objects as columns and keeps formula cells", () => {
+  const sheet = new FakeSheet("Pivot", [
+    ["Id", 1, 2, 3],
+    ["Name", "One", "Two", "Three"],
+    ["Total", "=B1*10", "=C1*10", "=D1*10"]
+  ]);
+  const data = [];
+  for (let i = 1; i <= 50; i++) data.push({ Id: i, Name: `New ${i}` });
+  sheet.resetCalls();
+
+  scripts.objectsToSheetV2(data, sheet, 1, 2, { pivot: true });
+
+  assert.deepStrictEqual(sheet.rows.map(row => row[1]), [1, "New 1", "=B1*10"]);
+  assert.deepStrictEqual(sheet.rows.map(row => row[50]), [50, "New 50", ""]);
+  assert.ok(sheet.calls.getRange <= 4, `getRange called ${sheet.calls.getRange} times`);
+  assert.ok(sheet.calls.setValues <= 1, `setValues called ${sheet.calls.setValues} times`);
+});
@@ -0,0 +1,155 @@
+/**
+ * A minimal in-memory stand-in for the Apps Script services the sheet functions use, so they can run
+ * under Node. The sheet counts its API calls, which is what the tests check: reads and writes are the
+ * slow part of a script, so a change that adds calls per row shows up here before it shows up in a quota.
+ *
+ * Only the methods the tested functions call are implemented. Text starting with "=" is stored as a
+ * formula, as setValues does: getFormulas returns it, and getValues returns "" since nothing is calculated.
+ */
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+/** A sheet held as a 2D array of values, counting getRange, getValues and setValues calls **/
+class FakeSheet {
+  constructor(name, rows = []) {
+    this.name = name;
+    this.rows = rows.map(row => row.slice());
+    this.calls = { getRange: 0, getValues: 0, setValues: 0 };
+  }
+
+  getName() {
+    return this.name;
+  }
+
+  getLastRow() {
+    for (let r = this.rows.length; r > 0; r--) {
+      if (this.rows[r - 1].some(value => value !== "")) return r;
+    }
+    return 0;
+  }
+
+  getLastColumn() {
+    return this.rows.reduce((last, row) => {
+      for (let c = row.length; c > last; c--) {
+        if (row[c - 1] !== "") return c;
+      }
+      return last;
+    }, 0);
+  }
+
+  getDataRange() {
+    return this.getRange(1, 1, Math.max(this.getLastRow(), 1), Math.max(this.getLastColumn(), 1));
+  }
+
+  getRange(row, column, numRows = 1, numColumns = 1) {
+    if (row < 1 || column < 1 || numRows < 1 || numColumns < 1) {
+      throw new Error(`Invalid range ${row}, ${column}, ${numRows}, ${numColumns}.`);
+    }
+    this.calls.getRange++;
+    return new FakeRange(this, row, column, numRows, numColumns);
+  }
+
+  /** Resets the call counters, e.g. after setting up the sheet **/
+  resetCalls() {
+    Object.keys(this.calls).forEach(name => {
+      this.calls[name] = 0;
+    });
+  }
+}
+
+/** A rectangle of a FakeSheet **/
+class FakeRange {
+  constructor(sheet, row, column, numRows, numColumns) {
+    Object.assign(this, { sheet, row, column, numRows, numColumns });
+  }
+
+  /** Maps each cell of the range to callback(storedValue, isFormula) **/
+  mapCells(callback) {
+    return Array.from({ length: this.numRows }, (_, i) => {
+      const row = this.sheet.rows[this.row - 1 + i] || [];
+      return Array.from({ length: this.numColumns }, (_, j) => {
+        const value = row[this.column - 1 + j];
+        return callback(value === undefined ? "" : value, isFormula(value));
+      });
+    });
+  }
+
+  getValues() {
+    this.sheet.calls.getValues++;
+    return this.mapCells((value, formula) => formula ? "" : value);
+  }
+
+  getFormulas() {
+    return this.mapCells((value, formula) => formula ? value : "");
+  }
+
+  setValues(values) {
+    this.sheet.calls.setValues++;
+    return this.write(values);
+  }
+
+  setFormulas(formulas) {
+    return this.write(formulas);
+  }
+
+  setFormula(formula) {
+    return this.write([[formula]]);
+  }
+
+  /** Stores a 2D array the size of the range **/
+  write(values) {
+    if (values.length !== this.numRows || values.some(row => row.length !== this.numColumns)) {
+      throw new Error(`The data has ${values.length} rows but the range has ${this.numRows}x${this.numColumns} cells.`);
+    }
+    values.forEach((row, i) => {
+      const r = this.row - 1 + i;
+      while (this.sheet.rows.length <= r) this.sheet.rows.push([]);
+      row.forEach((value, j) => {
+        const target = this.sheet.rows[r];
+        while (target.length < this.column - 1 + j) target.push("");
+        target[this.column - 1 + j] = value;
+      });
+    });
+    return this;
+  }
+}
+
+/** True if a stored value is a formula **/
+function isFormula(value) {
+  return typeof value === "string" && value.charAt(0) === "=";
+}
+
+/**
+ * Runs every script in src in a fresh context with stubbed Logger, SpreadsheetApp, Session and Utilities,
+ * the way Apps Script shares one global scope between files.
+ *
+ * @param {Object} [globals] - Extra or replacement globals, e.g. { PropertiesService, LockService }.
+ * @return {Object} - The context, holding every top-level function of the scripts.
+ */
+function loadScripts(globals = {}) {
+  const context = vm.createContext({
+    console,
+    Logger: { log() {} },
+    SpreadsheetApp: { flush() {} },
+    Session: {
+      getScriptTimeZone: () => "UTC",
+      getEffectiveUser: () => ({ getEmail: () => "script@example.com" })
+    },
+    Utilities: {
+      formatDate: date => date.toISOString(),
+      computeDigest: (algorithm, text) => Array.from(require("crypto").createHash("md5").update(text).digest()),
+      DigestAlgorithm: { MD5: "MD5" },
+      Charset: { UTF_8: "UTF_8" }
+    },
+    ...globals
+  });
+
+  const dir = path.join(__dirname, "..", "src");
+  fs.readdirSync(dir).filter(file => file.endsWith(".js")).forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(dir, file), "utf8"), context, { filename: file });
+  });
+  return context;
+}
+
+module.exports = { FakeSheet, loadScripts };
@@ -0,0 +1,90 @@
+/**
+ * Runs runJob with a fake clock, property store, lock and scheduler. Run with: node --test test/*.test.js
+ */
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadScripts } = require("./fakeSheet");
+
+const scripts = loadScripts();
+
+/** The runJob services, in memory: a clock moved by hand, a store, a lock and a scheduler that records triggers **/
+function makeServices() {
+  const properties = {};
+  const services = {
+    clock: { time: 0, now() { return this.time; } },
+    store: {
+      getProperty: key => (key in properties ? properties[key] : null),
+      setProperty: (key, value) => { properties[key] = value; },
+      deleteProperty: key => { delete properties[key]; }
+    },
+    lock: {
+      held: false,
+      tryLock() { if (this.held) return false; this.held = true; return true; },
+      releaseLock() { this.held = false; }
+    },
+    scheduler: {
+      triggers: [],
+      schedule(handlerName, delayMs) { this.triggers.push(handlerName); return `trigger-${this.triggers.length}`; },
+      cancel(id) { this.triggers[Number(id.split("-")[1]) - 1] = null; }
+    }
+  };
+  services.properties = properties;
+  return services;
+}
+
+const items = Array.from({ length: 10 }, (_, i) => i);
+
+test("runJob stops at the time budget, checkpoints and resumes from the checkpoint", () => {
+  const services = makeServices();
+  const seen = [];
+  const processBatch = batch => {
+    seen.push(...batch);
+    services.clock.time += 1000; // Each batch takes a second
+  };
+  const options = { ...services, batchSize: 2, timeBudgetMs: 2500, handlerName: "continueJob" };
+
+  const first = scripts.runJob("import", items, processBatch, options);
+  assert.deepStrictEqual([first.done, first.offset, first.processed, first.scheduled], [false, 4, 4, true]);
+  assert.deepStrictEqual(services.scheduler.triggers, ["continueJob"]);
+  assert.strictEqual(JSON.parse(services.properties.JOB_STATE_import).offset, 4);
+
+  services.clock.time += 60000;
+  const second = scripts.runJob("import", items, processBatch, options);
+  assert.deepStrictEqual([second.offset, second.runs], [8, 2]);
+  assert.strictEqual(services.scheduler.triggers[0], null); // The trigger that started the run was cancelled
+
+  scripts.runJob("import", items, processBatch, options);
+  assert.deepStrictEqual(seen, items);
+  assert.strictEqual(scripts.getJobState("import", services.store), null);
+  assert.strictEqual(services.lock.held, false);
+});
+
+test("runJob does nothing while another run holds the lock", () => {
+  const services = makeServices();
+  services.lock.held = true;
+  let calls = 0;
+
+  const result = scripts.runJob("import", items, () => calls++, services);
+
+  assert.strictEqual(result.busy, true);
+  assert.strictEqual(calls, 0);
+  assert.deepStrictEqual(services.properties, {});
+});
+
+test("runJob keeps the latest errors and counts them all", () => {
+  const services = makeServices();
+
+  const result = scripts.runJob("import", items, () => { throw new Error("boom"); }, { ...services, onError: "skip", maxErrors: 3 });
+
+  assert.strictEqual(result.done, true);
+  assert.strictEqual(result.errorCount, 10);
+  assert.deepStrictEqual(Array.from(result.errors, error => error.index), [7, 8, 9]); // Arrays from the script context
+});
+
+test("runJob releases the lock when a batch fails", () => {
+  const services = makeServices();
+
+  assert.throws(() => scripts.runJob("import", items, () => { throw new Error("boom"); }, services), /boom/);
+  assert.strictEqual(services.lock.held, false);
+  assert.strictEqual(scripts.getJobState("import", services.store).offset, 0);
+});